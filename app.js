@@ -1,77 +1,58 @@
 // ----------------------
-// Helper functions
+// Core (see catcryption.js)
 // ----------------------
-function generateKeyPair() {
-  const keyPair = sodium.crypto_box_keypair();
-  return {
-    publicKey: sodium.to_base64(keyPair.publicKey),
-    privateKey: sodium.to_base64(keyPair.privateKey)
-  };
-}
-
-function saveMyKeys(keys) {
-  localStorage.setItem("myKeys", JSON.stringify(keys));
-}
-
-function loadMyKeys() {
-  const raw = localStorage.getItem("myKeys");
-  return raw ? JSON.parse(raw) : null;
-}
-
-function loadContacts() {
-  return JSON.parse(localStorage.getItem("contacts") || "[]");
-}
-
-function saveContacts(contacts) {
-  localStorage.setItem("contacts", JSON.stringify(contacts));
-}
+const {
+  generateKeyPair,
+  ensureSigningKeys,
+  saveMyKeys,
+  loadMyKeys,
+  loadContacts,
+  saveContacts,
+  isVaultCreated,
+  isUnlocked,
+  hasLegacyData,
+  createVault,
+  unlockVault,
+  lockVault,
+  loadLockMinutes,
+  saveLockMinutes,
+  sameKey,
+  findContactByKey,
+  shareCode,
+  parseShareCode,
+  addContact,
+  setContactVerified,
+  setContactSignKey,
+  isSignKeyVerified,
+  renameContact,
+  deleteContact,
+  replaceContactKey,
+  keyFingerprint,
+  safetyNumber,
+  encryptMessage,
+  decryptMessage,
+  signMessage,
+  verifySignedMessage,
+  FILE_EXTENSION,
+  encryptFile,
+  decryptFile,
+  exportBackup,
+  readBackup,
+  mergeContacts
+} = createCatcryption({ storage: localStorage });
 
 // ----------------------
-// Encryption (to recipient)
+// Download
 // ----------------------
-function encryptMessage(recipientPublicKeyBase64, message) {
-  const myKeys = loadMyKeys();
-  if (!myKeys) throw new Error("No local keypair found");
-
-  const recipientPublicKey = sodium.from_base64(recipientPublicKeyBase64);
-  const nonce = sodium.randombytes_buf(sodium.crypto_box_NONCEBYTES);
-
-  const cipher = sodium.crypto_box_easy(
-    sodium.from_string(message),
-    nonce,
-    recipientPublicKey,
-    sodium.from_base64(myKeys.privateKey)
-  );
-
-  return `${myKeys.publicKey}:${sodium.to_base64(nonce)}:${sodium.to_base64(cipher)}`;
-}
-
-// ----------------------
-// Decryption
-// ----------------------
-function decryptMessage(encryptedMessage) {
-  const myKeys = loadMyKeys();
-  if (!myKeys) throw new Error("No local keypair found");
-
-  const parts = encryptedMessage.split(":");
-  if (parts.length !== 3) throw new Error("Invalid message format");
-
-  const [senderPublicKeyB64, nonceB64, cipherB64] = parts;
-  const senderPublicKey = sodium.from_base64(senderPublicKeyB64);
-  const nonce = sodium.from_base64(nonceB64);
-  const cipher = sodium.from_base64(cipherB64);
-
-  try {
-    const plaintext = sodium.crypto_box_open_easy(
-      cipher,
-      nonce,
-      senderPublicKey,
-      sodium.from_base64(myKeys.privateKey)
-    );
-    return sodium.to_string(plaintext);
-  } catch (err) {
-    throw new Error("Failed to decrypt message. It may not be intended for you or is corrupted.");
-  }
+function downloadFile(filename, data, type) {
+  const url = URL.createObjectURL(new Blob([data], { type }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
 }
 
 // ----------------------
@@ -98,6 +79,7 @@ async function init() {
   const contactNameInput = document.getElementById("contactName");
   const contactKeyInput = document.getElementById("contactKey");
   const contactList = document.getElementById("contactList");
+  const contactSearch = document.getElementById("contactSearch");
   const recipientSelect = document.getElementById("recipientSelect");
   const plainText = document.getElementById("plainText");
   const encryptBtn = document.getElementById("encryptBtn");
@@ -105,19 +87,57 @@ async function init() {
   const encryptedInput = document.getElementById("encryptedInput");
   const decryptBtn = document.getElementById("decryptBtn");
   const decryptedOutput = document.getElementById("decryptedOutput");
+  const hideRecipientsInput = document.getElementById("hideRecipients");
+  const senderInfo = document.getElementById("senderInfo");
+  const signInput = document.getElementById("signInput");
+  const signBtn = document.getElementById("signBtn");
+  const signedOutput = document.getElementById("signedOutput");
+  const copySignedBtn = document.getElementById("copySignedBtn");
+  const verifyInput = document.getElementById("verifyInput");
+  const verifyBtn = document.getElementById("verifyBtn");
+  const verifyResult = document.getElementById("verifyResult");
+  const verifiedText = document.getElementById("verifiedText");
+  const fileDropZone = document.getElementById("fileDropZone");
+  const fileInput = document.getElementById("fileInput");
+  const encryptFileBtn = document.getElementById("encryptFileBtn");
+  const decryptFileBtn = document.getElementById("decryptFileBtn");
+  const fileStatus = document.getElementById("fileStatus");
+  const fileSenderInfo = document.getElementById("fileSenderInfo");
   const copyEncryptedBtn = document.getElementById("copyEncryptedBtn");
   const copyDecryptedBtn = document.getElementById("copyDecryptedBtn");
   const scanQrBtn = document.getElementById("scanQrBtn");
   const qrScannerDiv = document.getElementById("qrScanner");
+  const appDiv = document.getElementById("app");
+  const lockScreen = document.getElementById("lockScreen");
+  const lockTitle = document.getElementById("lockTitle");
+  const lockHint = document.getElementById("lockHint");
+  const passphraseInput = document.getElementById("passphraseInput");
+  const passphraseConfirm = document.getElementById("passphraseConfirm");
+  const unlockBtn = document.getElementById("unlockBtn");
+  const lockError = document.getElementById("lockError");
+  const lockNowBtn = document.getElementById("lockNowBtn");
+  const lockMinutesInput = document.getElementById("lockMinutes");
+  const backupPassphraseInput = document.getElementById("backupPassphrase");
+  const backupPassphraseConfirm = document.getElementById("backupPassphraseConfirm");
+  const exportBackupBtn = document.getElementById("exportBackupBtn");
+  const importBackupInput = document.getElementById("importBackupInput");
+  const importBackupBtn = document.getElementById("importBackupBtn");
+  const backupStatus = document.getElementById("backupStatus");
 
   let html5QrCode = null;
+  let idleTimer = null;
+  let selectedFile = null;
 
   // ------------------
   // Render functions
   // ------------------
   function renderMyKey() {
     const keys = loadMyKeys();
-    myKeyOutput.innerText = keys ? `Your Public Key:\n\n${keys.publicKey}` : "";
+    myKeyOutput.innerText = keys
+      ? `Your Public Key:\n\n${keys.publicKey}\n\nFingerprint: ${keyFingerprint(keys.publicKey, keys.signPublicKey)}`
+        + `\n\nSigning Key:\n\n${keys.signPublicKey}`
+        + `\n\nShare code (give this to contacts, it holds both keys):\n\n${shareCode(keys)}`
+      : "";
     renderMyQr();
   }
 
@@ -129,7 +149,7 @@ async function init() {
     }
 
     myQrCodeDiv.innerHTML = "";
-    QRCode.toDataURL(keys.publicKey, { width: 200 })
+    QRCode.toDataURL(shareCode(keys), { width: 200 })
       .then(url => {
         const img = document.createElement("img");
         img.src = url;
@@ -143,27 +163,337 @@ async function init() {
 
   function renderContacts() {
     const contacts = loadContacts();
+    const myKeys = loadMyKeys();
+    const query = contactSearch.value.trim().toLowerCase();
+    const matches = (c) =>
+      !query
+      || c.name.toLowerCase().includes(query)
+      || (!c.invalidKey && c.signPublicKey && keyFingerprint(c.publicKey, c.signPublicKey).replace(/ /g, "").includes(query.replace(/ /g, "")));
 
     contactList.innerHTML = "";
-    contacts.forEach((c) => {
+    contacts.filter(matches).forEach((c) => {
       const li = document.createElement("li");
-      li.innerText = c.name;
+
+      const name = document.createElement("strong");
+      name.innerText = c.name;
+      li.appendChild(name);
+
+      const badge = document.createElement("span");
+      badge.className = c.verified ? "badge verified" : "badge unverified";
+      badge.innerText = c.verified ? "✓ verified" : "not verified";
+      li.appendChild(badge);
+
+      if (c.keyChangedAt) {
+        const changed = document.createElement("p");
+        changed.className = "warning";
+        changed.innerText = `⚠ Key changed on ${new Date(c.keyChangedAt).toLocaleString()}. Verify the new safety number.`;
+        li.appendChild(changed);
+      }
+
+      if (c.invalidKey) {
+        const invalid = document.createElement("p");
+        invalid.className = "warning";
+        invalid.innerText = "⚠ The saved key is invalid. Use Change Key to fix it, or delete this contact.";
+        li.appendChild(invalid);
+      } else if (!c.signPublicKey) {
+        // Their own fingerprint and safety number include their signing key, so
+        // anything computed from the box key alone could never match theirs
+        const bare = document.createElement("p");
+        bare.className = "warning";
+        bare.innerText = "Saved from a bare key, so there is no fingerprint or safety number to compare yet. "
+          + `Ask ${c.name} for their share code and use Add Signing Key, or scan their QR code.`;
+        li.appendChild(bare);
+      } else {
+        const details = document.createElement("div");
+        details.className = "contact-details";
+        details.innerText = `Fingerprint: ${keyFingerprint(c.publicKey, c.signPublicKey)}`;
+        details.innerText += c.verified && !isSignKeyVerified(c)
+          ? "\nCan verify their signatures, but the signing key was added after you verified them. Verify again."
+          : "\nCan verify their signatures";
+        if (myKeys) details.innerText += `\nSafety number: ${safetyNumber(myKeys, c)}`;
+        (c.keyHistory || []).forEach((h) => {
+          details.innerText += `\nPrevious key ${keyFingerprint(h.publicKey, h.signPublicKey)} (replaced ${new Date(h.replacedAt).toLocaleDateString()})`;
+        });
+        li.appendChild(details);
+      }
+
+      const actions = document.createElement("div");
+      actions.className = "contact-actions";
+      li.appendChild(actions);
+
+      const addAction = (label, handler) => {
+        const btn = document.createElement("button");
+        btn.className = "small";
+        btn.innerText = label;
+        btn.onclick = () => {
+          try {
+            handler();
+          } catch (err) {
+            alert(err.message);
+          }
+          renderContacts();
+        };
+        actions.appendChild(btn);
+      };
+
+      if (myKeys && !c.invalidKey && (c.signPublicKey || c.verified)) {
+        const fullyVerified = c.verified && (!c.signPublicKey || isSignKeyVerified(c));
+        addAction(fullyVerified ? "Unverify" : "Verify", () => {
+          if (!fullyVerified) {
+            const ok = confirm(
+              `Compare this safety number with ${c.name}, in person or over a call:\n\n`
+              + `${safetyNumber(myKeys, c)}\n\nMark as verified only if it matches exactly.`
+            );
+            if (!ok) return;
+          }
+          setContactVerified(c.id, !fullyVerified);
+        });
+      }
+
+      if (!c.invalidKey && !c.signPublicKey) {
+        addAction("Add Signing Key", () => {
+          const code = (prompt(`${c.name}'s share code (starts with catcryption:):`) || "").trim();
+          if (!code) return;
+          const { publicKey, signPublicKey } = parseShareCode(code);
+          if (!signPublicKey) throw new Error("That has no signing key. Ask for the full share code.");
+          if (!sameKey(publicKey, c.publicKey)) {
+            throw new Error(`That share code is for a different key than the one saved for ${c.name}. Use Change Key if their key changed.`);
+          }
+          setContactSignKey(c.id, signPublicKey);
+        });
+      }
+
+      addAction("Rename", () => {
+        const newName = (prompt("New name:", c.name) || "").trim();
+        if (newName) renameContact(c.id, newName);
+      });
+
+      addAction("Change Key", () => {
+        const newKey = (prompt(`New public key or share code for ${c.name}:`) || "").trim();
+        if (!newKey) return;
+        replaceContactKey(c.id, newKey);
+        alert(`${c.name}'s key was replaced. The old key is kept in their history, and they are no longer verified.`);
+      });
+
+      addAction("Delete", () => {
+        if (confirm(`Delete ${c.name}? You won't be able to encrypt to them or recognise their messages.`)) {
+          deleteContact(c.id);
+        }
+      });
+
       contactList.appendChild(li);
     });
 
-    recipientSelect.innerHTML = '<option value="">-- Select Recipient --</option>';
-    contacts.forEach((c, i) => {
+    // Keep whatever was selected, by ID, across re-renders
+    const selectedIds = new Set(Array.from(recipientSelect.selectedOptions).map((o) => o.value));
+    recipientSelect.innerHTML = "";
+    contacts.filter((c) => !c.invalidKey).forEach((c) => {
       const option = document.createElement("option");
-      option.value = i;
-      option.innerText = c.name;
+      option.value = c.id;
+      option.innerText = c.verified ? `${c.name} ✓` : c.name;
+      option.selected = selectedIds.has(c.id);
       recipientSelect.appendChild(option);
     });
   }
 
+  function renderSenderInfo(container, result) {
+    container.innerHTML = "";
+    if (!result) return;
+
+    const from = document.createElement("p");
+    if (result.contact) {
+      from.className = result.contact.verified ? "sender-known" : "sender-unverified";
+      from.innerText = `From: ${result.contact.name}${result.contact.verified ? " ✓ verified" : " (not verified)"}`;
+    } else {
+      from.className = "sender-unknown";
+      from.innerText = `⚠ Unknown sender. This key is not in your contacts:\n${result.senderPublicKey}`;
+    }
+    if (result.sentAt) from.innerText += `\nSent: ${result.sentAt.toLocaleString()}`;
+    from.innerText += result.recipients
+      ? `\nTo: ${result.recipients.map((r) => (r.contact ? r.contact.name : "unknown key")).join(", ")}`
+      : "\nTo: (recipient list hidden)";
+    container.appendChild(from);
+
+    if (!result.contact) {
+      const saveBtn = document.createElement("button");
+      saveBtn.innerText = "Save Sender as Contact";
+      saveBtn.onclick = () => {
+        const name = (prompt("Enter contact name for this sender:") || "").trim();
+        if (!name) return;
+        try {
+          addContact(name, result.senderPublicKey);
+        } catch (err) {
+          return alert("Failed to add contact: " + err.message);
+        }
+        renderContacts();
+        renderSenderInfo(container, { ...result, contact: findContactByKey(result.senderPublicKey) });
+      };
+      container.appendChild(saveBtn);
+    }
+
+    result.warnings.forEach((warning) => {
+      const p = document.createElement("p");
+      p.className = "warning";
+      p.innerText = "⚠ " + warning;
+      container.appendChild(p);
+    });
+  }
+
+  function renderVerifyResult(result) {
+    verifyResult.innerHTML = "";
+    if (!result) return;
+
+    const signer = document.createElement("p");
+    if (result.contact) {
+      signer.className = result.signerVerified ? "sender-known" : "sender-unverified";
+      signer.innerText = `✓ Valid signature from ${result.contact.name}`
+        + (result.signerVerified
+          ? " (verified contact)"
+          : result.contact.verified
+            ? " (signing key not verified; compare safety numbers again)"
+            : " (contact not verified)");
+    } else {
+      signer.className = "sender-unknown";
+      signer.innerText = `✓ Valid signature, but the signer is not in your contacts.\nSigning key: ${result.signPublicKey}`;
+    }
+    signer.innerText += `\nSigned: ${result.signedAt.toLocaleString()}`;
+    verifyResult.appendChild(signer);
+
+    result.warnings.forEach((warning) => {
+      const p = document.createElement("p");
+      p.className = "warning";
+      p.innerText = "⚠ " + warning;
+      verifyResult.appendChild(p);
+    });
+  }
+
+  function renderLockScreen() {
+    const creating = !isVaultCreated();
+    lockTitle.innerText = creating ? "Set a Passphrase" : "Unlock";
+    lockHint.innerText = creating
+      ? "Your keys and contacts are encrypted with this passphrase. It cannot be recovered if you forget it."
+        + (hasLegacyData() ? " Your existing keys and contacts will be encrypted too." : "")
+      : "Enter your passphrase to unlock your keys and contacts.";
+    passphraseConfirm.hidden = !creating;
+    unlockBtn.innerText = creating ? "Set Passphrase" : "Unlock";
+    lockError.innerText = "";
+    passphraseInput.value = "";
+    passphraseConfirm.value = "";
+  }
+
+  // ------------------
+  // Locking
+  // ------------------
+  function showLocked() {
+    appDiv.hidden = true;
+    lockScreen.hidden = false;
+    renderLockScreen();
+    passphraseInput.focus();
+  }
+
+  function showUnlocked() {
+    lockScreen.hidden = true;
+    appDiv.hidden = false;
+    lockMinutesInput.value = loadLockMinutes();
+    ensureSigningKeys();
+    renderMyKey();
+    renderContacts();
+    resetIdleTimer();
+  }
+
+  function lockApp() {
+    clearTimeout(idleTimer);
+    idleTimer = null;
+    stopScanner();
+    lockVault();
+
+    // Don't leave decrypted material lying around in the DOM
+    myKeyOutput.innerText = "";
+    myQrCodeDiv.innerHTML = "";
+    contactList.innerHTML = "";
+    contactSearch.value = "";
+    recipientSelect.innerHTML = "";
+    plainText.value = "";
+    encryptedOutput.innerText = "";
+    encryptedInput.value = "";
+    decryptedOutput.innerText = "";
+    senderInfo.innerHTML = "";
+    signInput.value = "";
+    signedOutput.innerText = "";
+    verifyInput.value = "";
+    verifyResult.innerHTML = "";
+    verifiedText.innerText = "";
+    selectFile(null);
+    fileInput.value = "";
+    backupStatus.innerText = "";
+    backupPassphraseInput.value = "";
+    backupPassphraseConfirm.value = "";
+
+    showLocked();
+  }
+
+  function resetIdleTimer() {
+    if (!isUnlocked()) return;
+    clearTimeout(idleTimer);
+    idleTimer = setTimeout(lockApp, loadLockMinutes() * 60 * 1000);
+  }
+
+  ["click", "keydown", "mousemove", "touchstart"].forEach((type) =>
+    document.addEventListener(type, resetIdleTimer, { passive: true })
+  );
+
+  unlockBtn.onclick = async () => {
+    const passphrase = passphraseInput.value;
+    if (!passphrase) return (lockError.innerText = "Enter your passphrase");
+
+    const creating = !isVaultCreated();
+    if (creating && passphrase !== passphraseConfirm.value) {
+      return (lockError.innerText = "Passphrases do not match");
+    }
+
+    unlockBtn.disabled = true;
+    lockError.innerText = creating ? "Encrypting..." : "Unlocking...";
+    try {
+      if (creating) await createVault(passphrase);
+      else await unlockVault(passphrase);
+      showUnlocked();
+    } catch (err) {
+      lockError.innerText = err.message;
+    } finally {
+      unlockBtn.disabled = false;
+    }
+  };
+
+  passphraseInput.onkeydown = passphraseConfirm.onkeydown = (e) => {
+    if (e.key === "Enter") unlockBtn.click();
+  };
+
+  lockNowBtn.onclick = () => lockApp();
+
+  lockMinutesInput.onchange = () => {
+    const minutes = parseInt(lockMinutesInput.value, 10);
+    if (!(minutes > 0)) {
+      lockMinutesInput.value = loadLockMinutes();
+      return alert("Auto-lock must be at least 1 minute");
+    }
+    saveLockMinutes(minutes);
+    lockMinutesInput.value = loadLockMinutes();
+    resetIdleTimer();
+  };
+
   // ------------------
   // Button handlers
   // ------------------
   generateBtn.onclick = () => {
+    if (loadMyKeys()) {
+      const answer = prompt(
+        "You already have a key pair. Replacing it means messages sent to your current key can never be "
+        + "decrypted again, and your contacts will need your new key. Export a backup first if unsure.\n\n"
+        + "Type REPLACE to generate a new key pair."
+      );
+      if ((answer || "").trim() !== "REPLACE") return;
+    }
+
     const keys = generateKeyPair();
     saveMyKeys(keys);
     renderMyKey(); // auto-generate QR
@@ -174,9 +504,11 @@ async function init() {
     const key = contactKeyInput.value.trim();
     if (!name || !key) return alert("Name and public key are required");
 
-    const contacts = loadContacts();
-    contacts.push({ name, publicKey: key });
-    saveContacts(contacts);
+    try {
+      addContact(name, key);
+    } catch (err) {
+      return alert("Failed to add contact: " + err.message);
+    }
 
     contactNameInput.value = "";
     contactKeyInput.value = "";
@@ -185,16 +517,20 @@ async function init() {
   };
 
   encryptBtn.onclick = () => {
-    const selectedIndex = recipientSelect.value;
-    if (selectedIndex === "") return alert("Select a recipient first");
-
     const contacts = loadContacts();
-    const contact = contacts[selectedIndex];
+    const selectedIds = new Set(Array.from(recipientSelect.selectedOptions).map((o) => o.value));
+    const selected = contacts.filter((c) => selectedIds.has(c.id));
+    if (selected.length === 0) return alert("Select at least one recipient first");
+
     const message = plainText.value.trim();
     if (!message) return alert("Type a message first");
 
     try {
-      const encrypted = encryptMessage(contact.publicKey, message);
+      const encrypted = encryptMessage(
+        selected.map((c) => c.publicKey),
+        message,
+        { hideRecipients: hideRecipientsInput.checked }
+      );
       encryptedOutput.innerText = encrypted;
       copyToClipboard(encrypted);
     } catch (err) {
@@ -207,11 +543,191 @@ async function init() {
     if (!encryptedText) return alert("Paste an encrypted message first");
 
     try {
-      const decrypted = decryptMessage(encryptedText);
-      decryptedOutput.innerText = decrypted;
-      copyToClipboard(decrypted);
+      const result = decryptMessage(encryptedText);
+      decryptedOutput.innerText = result.text;
+      renderSenderInfo(senderInfo, result);
+      copyToClipboard(result.text);
     } catch (err) {
       decryptedOutput.innerText = err.message;
+      renderSenderInfo(senderInfo, null);
+    }
+  };
+
+  // ------------------
+  // Signing
+  // ------------------
+  signBtn.onclick = () => {
+    const message = signInput.value.trim();
+    if (!message) return alert("Type a statement to sign first");
+
+    try {
+      const signed = signMessage(message);
+      signedOutput.innerText = signed;
+      copyToClipboard(signed);
+    } catch (err) {
+      alert("Signing failed: " + err.message);
+    }
+  };
+
+  copySignedBtn.onclick = () => copyToClipboard(signedOutput.innerText);
+
+  verifyBtn.onclick = () => {
+    const signed = verifyInput.value.trim();
+    if (!signed) return alert("Paste a signed message first");
+
+    try {
+      const result = verifySignedMessage(signed);
+      verifiedText.innerText = result.text;
+      renderVerifyResult(result);
+    } catch (err) {
+      verifiedText.innerText = "";
+      renderVerifyResult(null);
+      const p = document.createElement("p");
+      p.className = "sender-unknown";
+      p.innerText = "✗ " + err.message;
+      verifyResult.appendChild(p);
+    }
+  };
+
+  // ------------------
+  // Files
+  // ------------------
+  function selectFile(file) {
+    selectedFile = file || null;
+    fileDropZone.innerText = selectedFile
+      ? `${selectedFile.name} (${Math.ceil(selectedFile.size / 1024)} KB)`
+      : "Drop a file here, or choose one below";
+    fileStatus.innerText = "";
+    renderSenderInfo(fileSenderInfo, null);
+  }
+
+  fileInput.onchange = () => selectFile(fileInput.files[0]);
+
+  fileDropZone.ondragover = (e) => {
+    e.preventDefault();
+    fileDropZone.classList.add("dragging");
+  };
+  fileDropZone.ondragleave = () => fileDropZone.classList.remove("dragging");
+  fileDropZone.ondrop = (e) => {
+    e.preventDefault();
+    fileDropZone.classList.remove("dragging");
+    selectFile(e.dataTransfer.files[0]);
+  };
+
+  encryptFileBtn.onclick = async () => {
+    if (!selectedFile) return alert("Choose a file first");
+    const contacts = loadContacts();
+    const selectedIds = new Set(Array.from(recipientSelect.selectedOptions).map((o) => o.value));
+    const selected = contacts.filter((c) => selectedIds.has(c.id));
+    if (selected.length === 0) return alert("Select at least one recipient under Encrypt Message first");
+
+    encryptFileBtn.disabled = decryptFileBtn.disabled = true;
+    try {
+      const encrypted = await encryptFile(selectedFile, selected.map((c) => c.publicKey), {
+        hideRecipients: hideRecipientsInput.checked,
+        onProgress: (p) => (fileStatus.innerText = `Encrypting... ${Math.round(p * 100)}%`)
+      });
+      downloadFile(selectedFile.name + FILE_EXTENSION, encrypted, "application/octet-stream");
+      fileStatus.innerText = `Encrypted ${selectedFile.name} for ${selected.map((c) => c.name).join(", ")}.`;
+    } catch (err) {
+      fileStatus.innerText = "Encryption failed: " + err.message;
+    } finally {
+      encryptFileBtn.disabled = decryptFileBtn.disabled = false;
+    }
+  };
+
+  decryptFileBtn.onclick = async () => {
+    if (!selectedFile) return alert("Choose an encrypted file first");
+
+    encryptFileBtn.disabled = decryptFileBtn.disabled = true;
+    renderSenderInfo(fileSenderInfo, null);
+    try {
+      const result = await decryptFile(selectedFile, {
+        onProgress: (p) => (fileStatus.innerText = `Decrypting... ${Math.round(p * 100)}%`)
+      });
+      downloadFile(result.name, result.blob, result.type);
+      fileStatus.innerText = `Decrypted ${result.name} (${result.type}).`;
+      renderSenderInfo(fileSenderInfo, result);
+    } catch (err) {
+      fileStatus.innerText = err.message;
+    } finally {
+      encryptFileBtn.disabled = decryptFileBtn.disabled = false;
+    }
+  };
+
+  contactSearch.oninput = () => renderContacts();
+
+  // ------------------
+  // Backup
+  // ------------------
+  exportBackupBtn.onclick = async () => {
+    const passphrase = backupPassphraseInput.value;
+    if (!passphrase) return alert("Choose a backup passphrase first");
+    if (passphrase !== backupPassphraseConfirm.value) return alert("Backup passphrases do not match");
+
+    exportBackupBtn.disabled = true;
+    backupStatus.innerText = "Encrypting backup...";
+    try {
+      const backup = await exportBackup(passphrase);
+      const date = new Date().toISOString().slice(0, 10);
+      downloadFile(`catcryption-backup-${date}.txt`, backup, "text/plain");
+      backupStatus.innerText = "Backup downloaded. Keep it and its passphrase somewhere safe.";
+    } catch (err) {
+      backupStatus.innerText = "Backup failed: " + err.message;
+    } finally {
+      exportBackupBtn.disabled = false;
+      backupPassphraseInput.value = "";
+      backupPassphraseConfirm.value = "";
+    }
+  };
+
+  importBackupBtn.onclick = async () => {
+    const file = importBackupInput.files[0];
+    if (!file) return alert("Choose a backup file first");
+    const passphrase = backupPassphraseInput.value;
+    if (!passphrase) return alert("Enter the backup passphrase first");
+
+    importBackupBtn.disabled = true;
+    backupStatus.innerText = "Decrypting backup...";
+    try {
+      const backup = await readBackup(await file.text(), passphrase);
+      const notes = [];
+
+      const myKeys = loadMyKeys();
+      if (backup.myKeys && !myKeys) {
+        saveMyKeys(backup.myKeys);
+        notes.push("Key pair restored.");
+      } else if (backup.myKeys && !sameKey(backup.myKeys.publicKey, myKeys.publicKey)) {
+        const replace = confirm(
+          "The backup holds a different key pair from the one on this device.\n\n"
+          + `Backup: ${keyFingerprint(backup.myKeys.publicKey, backup.myKeys.signPublicKey)}\nThis device: ${keyFingerprint(myKeys.publicKey, myKeys.signPublicKey)}\n\n`
+          + "Replace this device's key pair with the one from the backup? The current one will be lost unless you have exported it."
+        );
+        if (replace) saveMyKeys(backup.myKeys);
+        notes.push(replace ? "Key pair replaced with the backup's." : "Kept this device's key pair.");
+      }
+      ensureSigningKeys(); // backups made before signing existed hold box keys only
+
+      const { contacts, summary } = mergeContacts(loadContacts(), backup.contacts || []);
+      saveContacts(contacts);
+      notes.push(
+        `Contacts: ${summary.added} added, ${summary.merged} already present, ${summary.updated} updated to a newer key`
+        + (summary.skipped ? `, ${summary.skipped} skipped` : "") + "."
+      );
+      if (summary.conflicts.length) {
+        notes.push(`⚠ Conflicting keys for ${summary.conflicts.join(", ")}: saved as "(from backup)". Check and delete whichever is wrong.`);
+      }
+
+      backupStatus.innerText = notes.join("\n");
+      importBackupInput.value = "";
+      renderMyKey();
+      renderContacts();
+    } catch (err) {
+      backupStatus.innerText = "Import failed: " + err.message;
+    } finally {
+      importBackupBtn.disabled = false;
+      backupPassphraseInput.value = "";
+      backupPassphraseConfirm.value = "";
     }
   };
 
@@ -221,13 +737,16 @@ async function init() {
   // ------------------
   // QR Scanning
   // ------------------
+  function stopScanner() {
+    if (!html5QrCode) return;
+    const scanner = html5QrCode;
+    scanner.stop().then(() => scanner.clear());
+    html5QrCode = null;
+    qrScannerDiv.innerHTML = "";
+  }
+
   scanQrBtn.onclick = () => {
-    if (html5QrCode) {
-      html5QrCode.stop().then(() => html5QrCode.clear());
-      html5QrCode = null;
-      qrScannerDiv.innerHTML = "";
-      return;
-    }
+    if (html5QrCode) return stopScanner();
 
     html5QrCode = new Html5Qrcode("qrScanner");
     const config = { fps: 10, qrbox: 250 };
@@ -237,17 +756,38 @@ async function init() {
       config,
       (decodedText) => {
         try {
-          const name = prompt("Enter contact name for this key:");
+          stopScanner();
+          const { publicKey, signPublicKey } = parseShareCode(decodedText);
+
+          // Scanning a code we already have is how two people verify each other in person
+          const existing = findContactByKey(publicKey);
+          if (existing && signPublicKey && existing.signPublicKey && !sameKey(existing.signPublicKey, signPublicKey)) {
+            return alert(`⚠ ${existing.name}'s signing key in this QR code differs from the one saved. Not changing anything.`);
+          }
+          if (existing && signPublicKey && !existing.signPublicKey) {
+            setContactSignKey(existing.id, signPublicKey);
+            renderContacts();
+          }
+          if (existing) {
+            const current = findContactByKey(publicKey);
+            if (current.verified && (!current.signPublicKey || isSignKeyVerified(current))) {
+              return alert(`${current.name} is already verified.`);
+            }
+            if (confirm(`This QR code matches ${current.name}. Mark them as verified?`)) {
+              setContactVerified(current.id, true);
+              renderContacts();
+            }
+            return;
+          }
+
+          const name = (prompt("Enter contact name for this key:") || "").trim();
           if (!name) return alert("Name required");
 
-          const contacts = loadContacts();
-          contacts.push({ name, publicKey: decodedText });
-          saveContacts(contacts);
+          const inPerson = confirm(
+            `Did you scan this code directly from ${name}'s own device? If so, they will be marked as verified.`
+          );
+          addContact(name, decodedText, { verified: inPerson });
           renderContacts();
-
-          html5QrCode.stop().then(() => html5QrCode.clear());
-          html5QrCode = null;
-          qrScannerDiv.innerHTML = "";
           alert("Contact added successfully!");
         } catch (err) {
           alert("Failed to add contact: " + err.message);
@@ -265,11 +805,14 @@ async function init() {
   // ------------------
   // Initial render
   // ------------------
-  renderMyKey();
-  renderContacts();
+  showLocked();
 }
 
 // ----------------------
 // Run
 // ----------------------
+if ("serviceWorker" in navigator) {
+  navigator.serviceWorker.register("sw.js").catch((err) => console.error("Service worker registration failed:", err));
+}
+
 init();
@@ -0,0 +1,1357 @@
+// ----------------------
+// Catcryption core
+// ----------------------
+// Keys, vault, message/file formats and contacts, with no DOM access, so the
+// same code runs in the PWA (app.js), the CLI (cli.js) and the tests.
+//
+// Loaded as a plain <script> it defines a global createCatcryption; under
+// Node it is a CommonJS module. Each instance has its own storage backend and
+// vault state:
+//
+//   const cat = createCatcryption({ storage: localStorage });
+//   await cat.ready;
+//
+// storage is anything with localStorage's getItem/setItem/removeItem.
+
+// In-memory storage backend, for tests and throwaway instances
+function createMemoryStorage(initial = {}) {
+  const items = new Map(Object.entries(initial));
+  return {
+    getItem: (name) => (items.has(name) ? items.get(name) : null),
+    setItem: (name, value) => items.set(name, String(value)),
+    removeItem: (name) => items.delete(name),
+    toJSON: () => Object.fromEntries(items)
+  };
+}
+
+function createCatcryption(options = {}) {
+  const sodium = options.sodium || (typeof require === "function" ? require("./sodium.js") : globalThis.sodium);
+  const storage = options.storage || globalThis.localStorage;
+  if (!storage) throw new Error("createCatcryption needs a storage backend");
+
+  // ----------------------
+  // Keys & storage
+  // ----------------------
+  function generateKeyPair() {
+    const keyPair = sodium.crypto_box_keypair();
+    return {
+      publicKey: sodium.to_base64(keyPair.publicKey),
+      privateKey: sodium.to_base64(keyPair.privateKey),
+      ...generateSigningKeyPair()
+    };
+  }
+
+  // Ed25519 keys for signing, kept next to the X25519 box keys
+  function generateSigningKeyPair() {
+    const keyPair = sodium.crypto_sign_keypair();
+    return {
+      signPublicKey: sodium.to_base64(keyPair.publicKey),
+      signPrivateKey: sodium.to_base64(keyPair.privateKey)
+    };
+  }
+
+  // Identities created before signing existed get a signing key on first unlock
+  function ensureSigningKeys() {
+    const keys = loadMyKeys();
+    if (!keys || keys.signPublicKey) return keys;
+    const upgraded = { ...keys, ...generateSigningKeyPair() };
+    saveMyKeys(upgraded);
+    return upgraded;
+  }
+
+  function saveMyKeys(keys) {
+    writeSealed("myKeys", keys);
+  }
+
+  function loadMyKeys() {
+    return readSealed("myKeys");
+  }
+
+  function loadContacts() {
+    const contacts = readSealed("contacts") || [];
+    if (contacts.some((c) => !c.id || (!c.invalidKey && !isValidPublicKey(c.publicKey))) || hasDuplicateKeys(contacts)) {
+      const migrated = migrateContacts(contacts);
+      saveContacts(migrated);
+      return migrated;
+    }
+    return contacts;
+  }
+
+  function saveContacts(contacts) {
+    writeSealed("contacts", contacts);
+  }
+
+  // ----------------------
+  // Vault (passphrase-protected storage)
+  // ----------------------
+  // The libsodium build we ship has no crypto_pwhash, so the passphrase is
+  // stretched with WebCrypto PBKDF2 and the result used as a secretbox key.
+  const VAULT_KDF = "pbkdf2-sha256";
+  const VAULT_KDF_ITERATIONS = 600000;
+  const VAULT_SALT_BYTES = 16;
+  const VAULT_CHECK = "catcryption";
+  const DEFAULT_LOCK_MINUTES = 5;
+  const MAX_LOCK_MINUTES = 24 * 60; // keeps the idle timer under setTimeout's 2^31-1 ms limit
+
+  let vaultKey = null; // secretbox key, only held in memory while unlocked
+
+  function loadVaultMeta() {
+    const raw = storage.getItem("vault");
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  function isVaultCreated() {
+    return loadVaultMeta() !== null;
+  }
+
+  function isUnlocked() {
+    return vaultKey !== null;
+  }
+
+  function hasLegacyData() {
+    return storage.getItem("myKeys") !== null || storage.getItem("contacts") !== null;
+  }
+
+  async function deriveVaultKey(passphrase, salt, iterations) {
+    const baseKey = await globalThis.crypto.subtle.importKey(
+      "raw",
+      sodium.from_string(passphrase),
+      "PBKDF2",
+      false,
+      ["deriveBits"]
+    );
+    const bits = await globalThis.crypto.subtle.deriveBits(
+      { name: "PBKDF2", hash: "SHA-256", salt, iterations },
+      baseKey,
+      sodium.crypto_secretbox_KEYBYTES * 8
+    );
+    return new Uint8Array(bits);
+  }
+
+  function sealValue(key, value) {
+    const nonce = sodium.randombytes_buf(sodium.crypto_secretbox_NONCEBYTES);
+    const cipher = sodium.crypto_secretbox_easy(sodium.from_string(JSON.stringify(value)), nonce, key);
+    return { nonce: sodium.to_base64(nonce), cipher: sodium.to_base64(cipher) };
+  }
+
+  function openValue(key, sealed) {
+    const plaintext = sodium.crypto_secretbox_open_easy(
+      sodium.from_base64(sealed.cipher),
+      sodium.from_base64(sealed.nonce),
+      key
+    );
+    return JSON.parse(sodium.to_string(plaintext));
+  }
+
+  function requireUnlocked() {
+    if (!isUnlocked()) throw new Error("App is locked");
+  }
+
+  function readSealed(name) {
+    requireUnlocked();
+    const raw = storage.getItem(name);
+    return raw ? openValue(vaultKey, JSON.parse(raw)) : null;
+  }
+
+  function writeSealed(name, value) {
+    requireUnlocked();
+    storage.setItem(name, JSON.stringify(sealValue(vaultKey, value)));
+  }
+
+  async function createVault(passphrase) {
+    if (isVaultCreated()) throw new Error("A passphrase is already set");
+
+    // Anything saved before the vault existed is plaintext; pick it up so it can be resealed
+    const legacyKeys = storage.getItem("myKeys");
+    const legacyContacts = storage.getItem("contacts");
+
+    const salt = sodium.randombytes_buf(VAULT_SALT_BYTES);
+    const key = await deriveVaultKey(passphrase, salt, VAULT_KDF_ITERATIONS);
+    storage.setItem("vault", JSON.stringify({
+      kdf: VAULT_KDF,
+      iterations: VAULT_KDF_ITERATIONS,
+      salt: sodium.to_base64(salt),
+      check: sealValue(key, VAULT_CHECK)
+    }));
+
+    vaultKey = key;
+    if (legacyKeys) saveMyKeys(JSON.parse(legacyKeys));
+    if (legacyContacts) saveContacts(JSON.parse(legacyContacts));
+  }
+
+  async function unlockVault(passphrase) {
+    const meta = loadVaultMeta();
+    if (!meta) throw new Error("No passphrase has been set");
+    if (meta.kdf !== VAULT_KDF) throw new Error("Unsupported key derivation: " + meta.kdf);
+
+    const key = await deriveVaultKey(passphrase, sodium.from_base64(meta.salt), meta.iterations);
+    try {
+      if (openValue(key, meta.check) !== VAULT_CHECK) throw new Error();
+    } catch (err) {
+      sodium.memzero(key);
+      throw new Error("Wrong passphrase");
+    }
+    vaultKey = key;
+  }
+
+  function lockVault() {
+    if (vaultKey) sodium.memzero(vaultKey);
+    vaultKey = null;
+  }
+
+  function loadLockMinutes() {
+    const minutes = parseInt(storage.getItem("lockMinutes"), 10);
+    return minutes > 0 ? Math.min(minutes, MAX_LOCK_MINUTES) : DEFAULT_LOCK_MINUTES;
+  }
+
+  function saveLockMinutes(minutes) {
+    storage.setItem("lockMinutes", String(Math.min(minutes, MAX_LOCK_MINUTES)));
+  }
+
+  // ----------------------
+  // Contacts & fingerprints
+  // ----------------------
+  const FINGERPRINT_BYTES = 8;
+  const SAFETY_NUMBER_GROUPS = 6;
+  const SAFETY_NUMBER_CONTEXT = "catcryption safety number v2";
+
+  // Keys may be pasted in any base64 flavour; compare them as bytes
+  function normalizeKey(keyBase64) {
+    try {
+      return sodium.to_base64(sodium.from_base64(keyBase64.replace(/=+$/, "").replace(/\+/g, "-").replace(/\//g, "_")));
+    } catch (err) {
+      return keyBase64;
+    }
+  }
+
+  function sameKey(a, b) {
+    return normalizeKey(a) === normalizeKey(b);
+  }
+
+  function findContactByKey(publicKeyBase64) {
+    const key = normalizeKey(publicKeyBase64);
+    return loadContacts().find((c) => normalizeKey(c.publicKey) === key) || null;
+  }
+
+  // A contact that used this key before switching to a new one
+  function findContactByOldKey(publicKeyBase64) {
+    const key = normalizeKey(publicKeyBase64);
+    return loadContacts().find((c) => (c.keyHistory || []).some((h) => normalizeKey(h.publicKey) === key)) || null;
+  }
+
+  function findContact(id) {
+    const contact = loadContacts().find((c) => c.id === id);
+    if (!contact) throw new Error("Contact not found");
+    return contact;
+  }
+
+  function newContactId() {
+    return sodium.to_hex(sodium.randombytes_buf(8));
+  }
+
+  function hasDuplicateKeys(contacts) {
+    const keys = contacts.filter((c) => !c.invalidKey).map((c) => normalizeKey(c.publicKey));
+    return new Set(keys).size !== keys.length;
+  }
+
+  // Contacts saved before IDs existed get one; entries sharing a key are merged
+  // into the first, which keeps its name and is verified if any copy was.
+  // Keys were saved unchecked before validation existed; those that don't
+  // parse are kept as-is and flagged invalidKey so the contact can still be
+  // fixed or deleted, but nothing tries to fingerprint or encrypt to them.
+  function migrateContacts(contacts) {
+    const byKey = new Map();
+    contacts.forEach((c) => {
+      if (!isValidPublicKey(c.publicKey)) {
+        byKey.set(Symbol("invalid"), { ...c, id: c.id || newContactId(), invalidKey: true });
+        return;
+      }
+      const key = normalizeKey(c.publicKey);
+      const existing = byKey.get(key);
+      if (existing) {
+        existing.verified = existing.verified || !!c.verified;
+        return;
+      }
+      byKey.set(key, { ...c, id: c.id || newContactId(), publicKey: key });
+    });
+    return Array.from(byKey.values());
+  }
+
+  function updateContact(id, update) {
+    const contacts = loadContacts();
+    const contact = contacts.find((c) => c.id === id);
+    if (!contact) throw new Error("Contact not found");
+    update(contact);
+    saveContacts(contacts);
+    return contact;
+  }
+
+  // Returns the key in canonical form, or throws if it isn't a 32-byte public key.
+  // Box and signing public keys are both 32 bytes.
+  function validatePublicKey(keyBase64, what = "public key") {
+    let bytes;
+    try {
+      bytes = sodium.from_base64(normalizeKey(keyBase64.trim()));
+    } catch (err) {
+      throw new Error(`That is not a valid ${what} (bad base64)`);
+    }
+    if (bytes.length !== sodium.crypto_box_PUBLICKEYBYTES) {
+      throw new Error(`That is not a valid ${what} (expected ${sodium.crypto_box_PUBLICKEYBYTES} bytes, got ${bytes.length})`);
+    }
+    return sodium.to_base64(bytes);
+  }
+
+  function isValidPublicKey(keyBase64) {
+    try {
+      validatePublicKey(keyBase64);
+      return true;
+    } catch (err) {
+      return false;
+    }
+  }
+
+  // What we hand out in the QR code and for copy/paste: the box key, plus the
+  // signing key when there is one. A bare box key is still accepted everywhere.
+  const SHARE_PREFIX = "catcryption:";
+
+  function shareCode(keys) {
+    return keys.signPublicKey
+      ? `${SHARE_PREFIX}${keys.publicKey}?sign=${keys.signPublicKey}`
+      : keys.publicKey;
+  }
+
+  // Returns { publicKey, signPublicKey } in canonical form; signPublicKey may be null
+  function parseShareCode(text) {
+    const trimmed = text.trim();
+    if (!trimmed.startsWith(SHARE_PREFIX)) return { publicKey: validatePublicKey(trimmed), signPublicKey: null };
+
+    // Not URLSearchParams: it would turn a "+" in standard base64 into a space
+    const [boxKey, query = ""] = trimmed.slice(SHARE_PREFIX.length).split("?");
+    const signParam = query.split("&").find((p) => p.startsWith("sign="));
+    const signKey = signParam ? signParam.slice("sign=".length) : null;
+    return {
+      publicKey: validatePublicKey(boxKey),
+      signPublicKey: signKey ? validatePublicKey(signKey, "signing key") : null
+    };
+  }
+
+  function findContactBySignKey(signPublicKeyBase64) {
+    const key = normalizeKey(signPublicKeyBase64);
+    return loadContacts().find((c) => c.signPublicKey && normalizeKey(c.signPublicKey) === key) || null;
+  }
+
+  // keyText is a bare public key or a share code
+  function addContact(name, keyText, fields = {}) {
+    const { publicKey, signPublicKey } = parseShareCode(keyText);
+    const myKeys = loadMyKeys();
+    if (myKeys && myKeys.publicKey === publicKey) throw new Error("That is your own public key");
+
+    const existing = findContactByKey(publicKey);
+    if (existing) throw new Error(`This key is already saved as "${existing.name}"`);
+
+    if (signPublicKey) {
+      const signer = findContactBySignKey(signPublicKey);
+      if (signer) throw new Error(`This signing key is already saved for "${signer.name}"`);
+    }
+
+    const contact = { id: newContactId(), name, publicKey, verified: false, ...fields };
+    if (signPublicKey) contact.signPublicKey = signPublicKey;
+    if (signPublicKey && contact.verified) contact.verifiedSignKey = signPublicKey;
+    const contacts = loadContacts();
+    contacts.push(contact);
+    saveContacts(contacts);
+    return contact;
+  }
+
+  // Saves a signing key for a contact that has none yet, e.g. from a share code
+  // or QR code that turns up after they were added by bare key
+  function setContactSignKey(id, signPublicKeyText) {
+    const signPublicKey = validatePublicKey(signPublicKeyText, "signing key");
+    const signer = findContactBySignKey(signPublicKey);
+    if (signer && signer.id !== id) throw new Error(`This signing key is already saved for "${signer.name}"`);
+
+    return updateContact(id, (contact) => {
+      if (contact.signPublicKey && !sameKey(contact.signPublicKey, signPublicKey)) {
+        throw new Error(`${contact.name} already has a different signing key; use Change Key to replace it`);
+      }
+      contact.signPublicKey = signPublicKey;
+    });
+  }
+
+  // Verifying compares the safety number, which covers the signing key saved
+  // at that moment; remember which one so a signing key added later isn't
+  // treated as verified.
+  function setContactVerified(id, verified) {
+    return updateContact(id, (contact) => {
+      contact.verified = verified;
+      if (verified) delete contact.keyChangedAt;
+      if (verified && contact.signPublicKey) contact.verifiedSignKey = contact.signPublicKey;
+      else delete contact.verifiedSignKey;
+    });
+  }
+
+  function isSignKeyVerified(contact) {
+    return !!(contact.verified && contact.signPublicKey && contact.verifiedSignKey
+      && sameKey(contact.verifiedSignKey, contact.signPublicKey));
+  }
+
+  function renameContact(id, name) {
+    if (!name) throw new Error("Name is required");
+    return updateContact(id, (contact) => {
+      contact.name = name;
+    });
+  }
+
+  function deleteContact(id) {
+    const contacts = loadContacts();
+    if (!contacts.some((c) => c.id === id)) throw new Error("Contact not found");
+    saveContacts(contacts.filter((c) => c.id !== id));
+  }
+
+  // The old key is kept in keyHistory, and the contact drops back to unverified
+  // with keyChangedAt set until the new key is verified. keyText is a bare
+  // public key or a share code; a signing key goes with the key it came with.
+  function replaceContactKey(id, keyText) {
+    const { publicKey, signPublicKey } = parseShareCode(keyText);
+    const existing = findContactByKey(publicKey);
+    if (existing && existing.id !== id) throw new Error(`This key is already saved as "${existing.name}"`);
+    if (existing) throw new Error("That is already this contact's key");
+
+    return updateContact(id, (contact) => {
+      const now = new Date().toISOString();
+      // An invalid key never worked, so there is nothing to remember it for
+      if (!contact.invalidKey) {
+        const old = { publicKey: contact.publicKey, replacedAt: now };
+        if (contact.signPublicKey) old.signPublicKey = contact.signPublicKey;
+        contact.keyHistory = [...(contact.keyHistory || []), old];
+      }
+      delete contact.invalidKey;
+      contact.publicKey = publicKey;
+      if (signPublicKey) contact.signPublicKey = signPublicKey;
+      else delete contact.signPublicKey;
+      contact.verified = false;
+      delete contact.verifiedSignKey;
+      contact.keyChangedAt = now;
+    });
+  }
+
+  // One party's keys as hashed for fingerprints and safety numbers: a key
+  // count, the box key, then the signing key when there is one. Throws rather
+  // than hashing a missing key into a number that looks fine.
+  function identityBytes(publicKeyBase64, signPublicKeyBase64) {
+    const keys = [validatePublicKey(publicKeyBase64)];
+    if (signPublicKeyBase64) keys.push(validatePublicKey(signPublicKeyBase64, "signing key"));
+    return concatBytes([keys.length], ...keys.map((k) => sodium.from_base64(k)));
+  }
+
+  // Short hex fingerprint of a box key and its signing key, e.g. "3f9a 0c11 72be 4d05"
+  function keyFingerprint(publicKeyBase64, signPublicKeyBase64) {
+    const hash = sodium.crypto_generichash(sodium.crypto_generichash_BYTES, identityBytes(publicKeyBase64, signPublicKeyBase64));
+    return sodium.to_hex(hash.subarray(0, FINGERPRINT_BYTES)).match(/.{4}/g).join(" ");
+  }
+
+  // myKeys and theirs are { publicKey, signPublicKey? }. Both sides compute the
+  // same number: the two parties are hashed in order of box key. Signing keys
+  // are included, so both sides must have exchanged share codes for it to match.
+  function safetyNumber(myKeys, theirs) {
+    const parties = [myKeys, theirs]
+      .map((k) => ({ order: normalizeKey(k.publicKey), bytes: identityBytes(k.publicKey, k.signPublicKey) }))
+      .sort((a, b) => (a.order < b.order ? -1 : a.order > b.order ? 1 : 0));
+    const hash = sodium.crypto_generichash(
+      sodium.crypto_generichash_BYTES,
+      concatBytes(sodium.from_string(SAFETY_NUMBER_CONTEXT), ...parties.map((p) => p.bytes))
+    );
+
+    const groups = [];
+    for (let i = 0; i < SAFETY_NUMBER_GROUPS; i++) {
+      // 5 bytes -> 5 decimal digits, same construction as Signal's safety numbers
+      const chunk = hash.subarray(i * 5, i * 5 + 5).reduce((n, b) => n * 256 + b, 0);
+      groups.push(String(chunk % 100000).padStart(5, "0"));
+    }
+    return groups.join(" ");
+  }
+
+  // ----------------------
+  // Message envelope
+  // ----------------------
+  // -----BEGIN CATCRYPTION MESSAGE-----
+  // base64(version | sender public key | nonce | ciphertext | checksum)
+  // -----END CATCRYPTION MESSAGE-----
+  //
+  // The checksum is there to catch copy/paste damage before we try to decrypt,
+  // so a mangled message isn't reported as "not for you".
+  //
+  // Version 2 prefixes the plaintext with the send time (8 bytes, ms since
+  // epoch, big-endian) so it is covered by the box authenticator.
+  //
+  // Version 3 encrypts the content once under a random secretbox key and wraps
+  // that key for each recipient with crypto_box:
+  //   version | flags | sender public key | recipient count (u16)
+  //   | per recipient: [recipient public key] | wrap nonce | wrapped key
+  //   | content nonce | secretbox(timestamp | message)
+  // With FLAG_HIDDEN_RECIPIENTS the recipient keys are left out and readers
+  // try each wrapped key in turn.
+  //
+  // Version 4 has the same layout, but each wrap holds content key | binding,
+  // a hash of everything except the wraps (see startBinding). In version 3 the
+  // content was only authenticated by the shared content key, so any recipient
+  // could rewrite it, or the recipient list, and the others would still see it
+  // as coming from the sender; a crypto_box wrap can only come from the sender.
+  const ENVELOPE_VERSION = 4;
+  const SUPPORTED_VERSIONS = [1, 2, 3, 4];
+  const FLAG_HIDDEN_RECIPIENTS = 0x01;
+  const BINDING_BYTES = 32;
+  const BINDING_CONTEXT = "catcryption recipient binding v1";
+  const MAX_RECIPIENTS = 0xffff;
+  const TIMESTAMP_BYTES = 8;
+  const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+  const MAX_MESSAGE_AGE_MS = 30 * 24 * 60 * 60 * 1000;
+  const CHECKSUM_BYTES = 4;
+  const ARMOR_LINE_LENGTH = 64;
+
+  function messageError(code, message) {
+    const err = new Error(message);
+    err.code = code; // "unsupported-version" | "corrupted" | "not-for-me"
+    return err;
+  }
+
+  function encodeTimestamp(date) {
+    const bytes = new Uint8Array(TIMESTAMP_BYTES);
+    new DataView(bytes.buffer).setBigUint64(0, BigInt(date.getTime()));
+    return bytes;
+  }
+
+  function decodeTimestamp(bytes) {
+    return new Date(Number(new DataView(bytes.buffer, bytes.byteOffset, TIMESTAMP_BYTES).getBigUint64(0)));
+  }
+
+  function timestampWarnings(sentAt, now = new Date()) {
+    if (!sentAt) return ["This message has no timestamp (sent with an older version of Catcryption)."];
+    if (sentAt - now > MAX_CLOCK_SKEW_MS) {
+      return [`This message claims to be sent in the future (${sentAt.toLocaleString()}). The sender's clock may be wrong.`];
+    }
+    if (now - sentAt > MAX_MESSAGE_AGE_MS) {
+      return [`This message is old (sent ${sentAt.toLocaleString()}). Make sure it isn't being replayed.`];
+    }
+    return [];
+  }
+
+  function concatBytes(...arrays) {
+    const out = new Uint8Array(arrays.reduce((n, a) => n + a.length, 0));
+    let offset = 0;
+    arrays.forEach((a) => {
+      out.set(a, offset);
+      offset += a.length;
+    });
+    return out;
+  }
+
+  function checksum(bytes) {
+    return sodium.crypto_generichash(sodium.crypto_generichash_BYTES_MIN, bytes).subarray(0, CHECKSUM_BYTES);
+  }
+
+  function armorHeader(label) {
+    return `-----BEGIN CATCRYPTION ${label}-----`;
+  }
+
+  function armorFooter(label) {
+    return `-----END CATCRYPTION ${label}-----`;
+  }
+
+  function isArmored(label, text) {
+    return text.includes(armorHeader(label));
+  }
+
+  function armor(label, bytes) {
+    const body = sodium.to_base64(concatBytes(bytes, checksum(bytes)), sodium.base64_variants.ORIGINAL);
+    const lines = body.match(new RegExp(`.{1,${ARMOR_LINE_LENGTH}}`, "g"));
+    return [armorHeader(label), ...lines, armorFooter(label)].join("\n");
+  }
+
+  function dearmor(label, text) {
+    const header = armorHeader(label);
+    const start = text.indexOf(header);
+    if (start === -1) throw messageError("corrupted", "Not a Catcryption message");
+    const end = text.indexOf(armorFooter(label), start);
+    if (end === -1) throw messageError("corrupted", "Message is truncated: the END line is missing");
+
+    let bytes;
+    try {
+      bytes = sodium.from_base64(text.slice(start + header.length, end).replace(/\s+/g, ""), sodium.base64_variants.ORIGINAL);
+    } catch (err) {
+      throw messageError("corrupted", "Message is corrupted: invalid characters");
+    }
+    if (bytes.length <= CHECKSUM_BYTES) throw messageError("corrupted", "Message is truncated");
+
+    const data = bytes.subarray(0, bytes.length - CHECKSUM_BYTES);
+    if (!sodium.memcmp(checksum(data), bytes.subarray(data.length))) {
+      throw messageError("corrupted", "Message is corrupted or truncated: checksum mismatch");
+    }
+    return data;
+  }
+
+  // Sequential reader over envelope bytes; running off the end means truncation
+  function byteReader(data) {
+    let offset = 0;
+    return {
+      take(length) {
+        if (offset + length > data.length) throw messageError("corrupted", "Message is truncated");
+        const bytes = data.slice(offset, offset + length);
+        offset += length;
+        return bytes;
+      },
+      uint16() {
+        const [hi, lo] = this.take(2);
+        return (hi << 8) | lo;
+      },
+      rest() {
+        const bytes = data.slice(offset);
+        offset = data.length;
+        return bytes;
+      }
+    };
+  }
+
+  // ----------------------
+  // Encryption (to recipients)
+  // ----------------------
+  function encryptMessage(recipientPublicKeys, message, options = {}) {
+    const myKeys = loadMyKeys();
+    if (!myKeys) throw new Error("No local keypair found");
+
+    const recipients = decodeRecipients(recipientPublicKeys);
+    const flags = options.hideRecipients ? FLAG_HIDDEN_RECIPIENTS : 0;
+    const senderPublicKey = sodium.from_base64(myKeys.publicKey);
+
+    const contentKey = sodium.crypto_secretbox_keygen();
+    const contentNonce = sodium.randombytes_buf(sodium.crypto_secretbox_NONCEBYTES);
+    const content = sodium.crypto_secretbox_easy(
+      concatBytes(encodeTimestamp(new Date()), sodium.from_string(message)),
+      contentNonce,
+      contentKey
+    );
+
+    const binding = startBinding([ENVELOPE_VERSION], flags, senderPublicKey, recipients);
+    sodium.crypto_generichash_update(binding, concatBytes(contentNonce, content));
+    const recipientBlock = encodeRecipientBlock(
+      contentKey,
+      sodium.crypto_generichash_final(binding, BINDING_BYTES),
+      recipients,
+      myKeys,
+      flags
+    );
+    sodium.memzero(contentKey);
+
+    return armor("MESSAGE", concatBytes([ENVELOPE_VERSION], recipientBlock, contentNonce, content));
+  }
+
+  // Recipient public keys as bytes
+  function decodeRecipients(recipientPublicKeys) {
+    const recipients = [].concat(recipientPublicKeys);
+    if (recipients.length === 0) throw new Error("Select at least one recipient");
+    if (recipients.length > MAX_RECIPIENTS) throw new Error("Too many recipients");
+    return recipients.map((publicKeyBase64) => sodium.from_base64(normalizeKey(publicKeyBase64)));
+  }
+
+  // Starts the hash each wrap commits to: the format prefix and the recipient
+  // block minus the wraps. Callers add the content and finish it. recipients
+  // are the recipient public keys (null when hidden).
+  function startBinding(prefix, flags, senderPublicKey, recipients) {
+    const state = sodium.crypto_generichash_init(null, BINDING_BYTES);
+    sodium.crypto_generichash_update(state, concatBytes(
+      sodium.from_string(BINDING_CONTEXT),
+      prefix,
+      [flags],
+      senderPublicKey,
+      [recipients.length >> 8, recipients.length & 0xff],
+      ...(flags & FLAG_HIDDEN_RECIPIENTS ? [] : recipients)
+    ));
+    return state;
+  }
+
+  // flags | sender public key | recipient count (u16) | wrapped content keys
+  function encodeRecipientBlock(contentKey, binding, recipients, myKeys, flags) {
+    const privateKey = sodium.from_base64(myKeys.privateKey);
+    const payload = concatBytes(contentKey, binding);
+    const wrappedKeys = recipients.map((recipientPublicKey) => {
+      const nonce = sodium.randombytes_buf(sodium.crypto_box_NONCEBYTES);
+      const wrapped = sodium.crypto_box_easy(payload, nonce, recipientPublicKey, privateKey);
+      return flags & FLAG_HIDDEN_RECIPIENTS
+        ? concatBytes(nonce, wrapped)
+        : concatBytes(recipientPublicKey, nonce, wrapped);
+    });
+    sodium.memzero(payload);
+
+    return concatBytes(
+      [flags],
+      sodium.from_base64(myKeys.publicKey),
+      [recipients.length >> 8, recipients.length & 0xff],
+      ...wrappedKeys
+    );
+  }
+
+  // ----------------------
+  // Decryption
+  // ----------------------
+  function parseEnvelope(encryptedMessage) {
+    const data = dearmor("MESSAGE", encryptedMessage);
+    if (!SUPPORTED_VERSIONS.includes(data[0])) {
+      throw messageError("unsupported-version", `Unsupported message version ${data[0]}. Update Catcryption to read it.`);
+    }
+
+    const reader = byteReader(data);
+    const version = reader.take(1)[0];
+
+    if (version < 3) {
+      const senderPublicKey = reader.take(sodium.crypto_box_PUBLICKEYBYTES);
+      const nonce = reader.take(sodium.crypto_box_NONCEBYTES);
+      const cipher = reader.rest();
+      if (cipher.length < sodium.crypto_box_MACBYTES) throw messageError("corrupted", "Message is truncated");
+      return { version, senderPublicKey, nonce, cipher };
+    }
+
+    const recipientBlock = readRecipientBlock(reader, version >= 4);
+    const nonce = reader.take(sodium.crypto_secretbox_NONCEBYTES);
+    const cipher = reader.rest();
+    if (cipher.length < sodium.crypto_secretbox_MACBYTES) throw messageError("corrupted", "Message is truncated");
+
+    return { version, ...recipientBlock, nonce, cipher };
+  }
+
+  function wrappedKeyLength(bound) {
+    return sodium.crypto_secretbox_KEYBYTES + (bound ? BINDING_BYTES : 0) + sodium.crypto_box_MACBYTES;
+  }
+
+  function recipientEntryLength(hiddenRecipients, bound) {
+    return (hiddenRecipients ? 0 : sodium.crypto_box_PUBLICKEYBYTES) + sodium.crypto_box_NONCEBYTES + wrappedKeyLength(bound);
+  }
+
+  // bound: the wraps carry a binding hash (message version 4, file version 2)
+  function readRecipientBlock(reader, bound) {
+    const flags = reader.take(1)[0];
+    const hiddenRecipients = (flags & FLAG_HIDDEN_RECIPIENTS) !== 0;
+    const senderPublicKey = reader.take(sodium.crypto_box_PUBLICKEYBYTES);
+    const count = reader.uint16();
+    const recipients = [];
+    for (let i = 0; i < count; i++) {
+      recipients.push({
+        publicKey: hiddenRecipients ? null : reader.take(sodium.crypto_box_PUBLICKEYBYTES),
+        nonce: reader.take(sodium.crypto_box_NONCEBYTES),
+        wrappedKey: reader.take(wrappedKeyLength(bound))
+      });
+    }
+    return { flags, hiddenRecipients, senderPublicKey, recipients, bound };
+  }
+
+  // Checks the binding opened from our wrap against the one computed from
+  // what we received; a mismatch means someone other than the sender changed it
+  function checkBinding(expected, state) {
+    if (!sodium.memcmp(sodium.crypto_generichash_final(state, BINDING_BYTES), expected)) {
+      throw messageError("corrupted", "This was changed after the sender encrypted it, possibly by another recipient.");
+    }
+  }
+
+  // Finds the wrapped content key meant for us and opens it. Returns
+  // { key, binding }; binding is null for formats without one.
+  function unwrapContentKey(envelope, myKeys) {
+    const myPublicKey = sodium.from_base64(myKeys.publicKey);
+    const privateKey = sodium.from_base64(myKeys.privateKey);
+    const candidates = envelope.hiddenRecipients
+      ? envelope.recipients
+      : envelope.recipients.filter((r) => sodium.memcmp(r.publicKey, myPublicKey));
+
+    for (const recipient of candidates) {
+      let payload;
+      try {
+        payload = sodium.crypto_box_open_easy(recipient.wrappedKey, recipient.nonce, envelope.senderPublicKey, privateKey);
+      } catch (err) {
+        continue; // not ours, or tampered; keep looking
+      }
+      const key = payload.slice(0, sodium.crypto_secretbox_KEYBYTES);
+      const binding = envelope.bound ? payload.slice(sodium.crypto_secretbox_KEYBYTES) : null;
+      sodium.memzero(payload);
+      return { key, binding };
+    }
+    throw messageError("not-for-me", "This message was not encrypted for your key.");
+  }
+
+  function openEnvelope(envelope, myKeys) {
+    if (envelope.version < 3) {
+      try {
+        return sodium.crypto_box_open_easy(
+          envelope.cipher,
+          envelope.nonce,
+          envelope.senderPublicKey,
+          sodium.from_base64(myKeys.privateKey)
+        );
+      } catch (err) {
+        throw messageError("not-for-me", "This message was not encrypted for your key.");
+      }
+    }
+
+    const { key, binding } = unwrapContentKey(envelope, myKeys);
+    try {
+      if (binding) {
+        const state = startBinding([envelope.version], envelope.flags, envelope.senderPublicKey, envelope.recipients.map((r) => r.publicKey));
+        sodium.crypto_generichash_update(state, concatBytes(envelope.nonce, envelope.cipher));
+        checkBinding(binding, state);
+      }
+      return openContent(envelope, key);
+    } finally {
+      sodium.memzero(key);
+    }
+  }
+
+  function openContent(envelope, key) {
+    try {
+      return sodium.crypto_secretbox_open_easy(envelope.cipher, envelope.nonce, key);
+    } catch (err) {
+      throw messageError("corrupted", "Message is corrupted: the content failed authentication");
+    }
+  }
+
+  // senderPub:nonce:cipher, as produced before the envelope existed
+  function parseLegacyMessage(encryptedMessage) {
+    const parts = encryptedMessage.split(":");
+    if (parts.length !== 3) throw messageError("corrupted", "Invalid message format");
+
+    try {
+      const [senderPublicKeyB64, nonceB64, cipherB64] = parts;
+      return {
+        version: 0,
+        senderPublicKey: sodium.from_base64(senderPublicKeyB64),
+        nonce: sodium.from_base64(nonceB64),
+        cipher: sodium.from_base64(cipherB64)
+      };
+    } catch (err) {
+      throw messageError("corrupted", "Message is corrupted: invalid characters");
+    }
+  }
+
+  // Returns { text, senderPublicKey, contact, sentAt, recipients, warnings }.
+  // contact is null when the sender's key isn't in our contact list;
+  // recipients is null when the sender hid the recipient list.
+  function decryptMessage(encryptedMessage) {
+    const myKeys = loadMyKeys();
+    if (!myKeys) throw new Error("No local keypair found");
+
+    const envelope = isArmored("MESSAGE", encryptedMessage)
+      ? parseEnvelope(encryptedMessage)
+      : parseLegacyMessage(encryptedMessage.trim());
+    const { version, senderPublicKey } = envelope;
+
+    let plaintext = openEnvelope(envelope, myKeys);
+
+    let sentAt = null;
+    if (version >= 2) {
+      if (plaintext.length < TIMESTAMP_BYTES) throw messageError("corrupted", "Message is truncated");
+      sentAt = decodeTimestamp(plaintext);
+      plaintext = plaintext.subarray(TIMESTAMP_BYTES);
+    }
+
+    // Before version 3 a message could only have one recipient: us
+    const recipients = version >= 3 ? envelope : { hiddenRecipients: false, recipients: [] };
+
+    return {
+      text: sodium.to_string(plaintext),
+      ...describeSender(senderPublicKey, sentAt, recipients, myKeys)
+    };
+  }
+
+  // The sender/recipient half of a decryption result, shared by messages and files
+  function describeSender(senderPublicKey, sentAt, recipientBlock, myKeys) {
+    let recipients = null;
+    if (!recipientBlock.hiddenRecipients) {
+      recipients = recipientBlock.recipients.length
+        ? recipientBlock.recipients.map((r) => ({ publicKey: sodium.to_base64(r.publicKey) }))
+        : [{ publicKey: myKeys.publicKey }];
+      recipients.forEach((r) => {
+        r.contact = r.publicKey === myKeys.publicKey ? { name: "You" } : findContactByKey(r.publicKey);
+      });
+    }
+
+    const senderPublicKeyBase64 = sodium.to_base64(senderPublicKey);
+    const contact = findContactByKey(senderPublicKeyBase64);
+    const warnings = timestampWarnings(sentAt);
+    if (recipientBlock.bound === false && recipientBlock.recipients.length > 1) {
+      warnings.push("This uses an older group format, so any of the other recipients could have changed it. Confirm anything important with the sender.");
+    }
+    const formerContact = contact ? null : findContactByOldKey(senderPublicKeyBase64);
+    if (formerContact) {
+      warnings.push(`This was sent with an old key of ${formerContact.name}, who has since changed keys.`);
+    }
+
+    return { senderPublicKey: senderPublicKeyBase64, contact, sentAt, recipients, warnings };
+  }
+
+  // ----------------------
+  // Signatures
+  // ----------------------
+  // -----BEGIN CATCRYPTION SIGNED MESSAGE-----
+  // <text>
+  // -----BEGIN CATCRYPTION SIGNATURE-----
+  // base64(version | signing public key | timestamp | Ed25519 signature | checksum)
+  // -----END CATCRYPTION SIGNATURE-----
+  //
+  // The signature covers a context string, the timestamp and the text with
+  // CRLFs and trailing whitespace normalised away, so the block survives being
+  // pasted through email and chat.
+  const SIGNATURE_VERSION = 1;
+  const SIGNATURE_CONTEXT = "catcryption signed message v1\0";
+
+  function normalizeSignedText(text) {
+    return text.replace(/\r\n?/g, "\n").split("\n").map((line) => line.trimEnd()).join("\n").trim();
+  }
+
+  function signedBytes(text, timestampBytes) {
+    return concatBytes(sodium.from_string(SIGNATURE_CONTEXT), timestampBytes, sodium.from_string(text));
+  }
+
+  function signMessage(message) {
+    const myKeys = loadMyKeys();
+    if (!myKeys || !myKeys.signPrivateKey) throw new Error("No local signing key found");
+
+    const text = normalizeSignedText(message);
+    const timestamp = encodeTimestamp(new Date());
+    const signature = sodium.crypto_sign_detached(signedBytes(text, timestamp), sodium.from_base64(myKeys.signPrivateKey));
+
+    return [
+      armorHeader("SIGNED MESSAGE"),
+      text,
+      armor("SIGNATURE", concatBytes([SIGNATURE_VERSION], sodium.from_base64(myKeys.signPublicKey), timestamp, signature))
+    ].join("\n");
+  }
+
+  // Returns { text, signPublicKey, contact, signerVerified, signedAt, warnings },
+  // or throws a messageError with code "bad-signature" if the text was altered.
+  // signerVerified is only true if the signing key was covered when the
+  // contact was verified.
+  function verifySignedMessage(signedMessage) {
+    const header = armorHeader("SIGNED MESSAGE");
+    const start = signedMessage.indexOf(header);
+    if (start === -1) throw messageError("corrupted", "Not a Catcryption signed message");
+    const signatureStart = signedMessage.lastIndexOf(armorHeader("SIGNATURE"));
+    if (signatureStart < start) throw messageError("corrupted", "Signed message is truncated: the signature is missing");
+
+    const data = dearmor("SIGNATURE", signedMessage.slice(signatureStart));
+    if (data[0] !== SIGNATURE_VERSION) {
+      throw messageError("unsupported-version", `Unsupported signature version ${data[0]}. Update Catcryption to read it.`);
+    }
+    const reader = byteReader(data.subarray(1));
+    const signPublicKey = reader.take(sodium.crypto_sign_PUBLICKEYBYTES);
+    const timestamp = reader.take(TIMESTAMP_BYTES);
+    const signature = reader.take(sodium.crypto_sign_BYTES);
+
+    const text = normalizeSignedText(signedMessage.slice(start + header.length, signatureStart));
+    if (!sodium.crypto_sign_verify_detached(signature, signedBytes(text, timestamp), signPublicKey)) {
+      throw messageError("bad-signature", "Signature is NOT valid: the text was changed after it was signed, or the signature is forged.");
+    }
+
+    const signPublicKeyBase64 = sodium.to_base64(signPublicKey);
+    const signedAt = decodeTimestamp(timestamp);
+    const contact = findContactBySignKey(signPublicKeyBase64);
+    const formerContact = contact ? null : loadContacts().find((c) =>
+      (c.keyHistory || []).some((h) => h.signPublicKey && normalizeKey(h.signPublicKey) === signPublicKeyBase64)
+    );
+
+    // Signed statements are meant to be kept, so age is fine; a future date isn't
+    const warnings = signedAt - new Date() > MAX_CLOCK_SKEW_MS ? timestampWarnings(signedAt) : [];
+    if (formerContact) warnings.push(`Signed with an old key of ${formerContact.name}, who has since changed keys.`);
+
+    const signerVerified = !!contact && isSignKeyVerified(contact);
+    return { text, signPublicKey: signPublicKeyBase64, contact, signerVerified, signedAt, warnings };
+  }
+
+  // ----------------------
+  // Files
+  // ----------------------
+  // "CATCRYPT" | version | recipient block | secretstream header
+  // | frames of (length (u32) | secretstream chunk)
+  //
+  // The first frame is JSON metadata (name, type, size, sentAt); the file
+  // contents follow in FILE_CHUNK_BYTES pieces, the last tagged FINAL so a cut
+  // off file is detected. Files are read and written a chunk at a time so big
+  // ones don't block the page.
+  //
+  // Version 2 binds the wraps to the rest of the file like message version 4:
+  // the binding covers the magic and version, the recipient block minus the
+  // wraps, the secretstream header and every frame.
+  const FILE_MAGIC = "CATCRYPT";
+  const FILE_VERSION = 2;
+  const SUPPORTED_FILE_VERSIONS = [1, 2];
+  const FILE_CHUNK_BYTES = 64 * 1024;
+  const FILE_EXTENSION = ".catcrypt";
+
+  function uint32Bytes(n) {
+    const bytes = new Uint8Array(4);
+    new DataView(bytes.buffer).setUint32(0, n);
+    return bytes;
+  }
+
+  function readUint32(bytes) {
+    return new DataView(bytes.buffer, bytes.byteOffset, 4).getUint32(0);
+  }
+
+  // Like byteReader, but pulls from a Blob on demand
+  function blobReader(blob) {
+    let offset = 0;
+    return {
+      async take(length) {
+        if (offset + length > blob.size) throw messageError("corrupted", "File is truncated");
+        const bytes = new Uint8Array(await blob.slice(offset, offset + length).arrayBuffer());
+        offset += length;
+        return bytes;
+      },
+      remaining() {
+        return blob.size - offset;
+      }
+    };
+  }
+
+  async function isEncryptedFile(blob) {
+    if (blob.size < FILE_MAGIC.length) return false;
+    const magic = new Uint8Array(await blob.slice(0, FILE_MAGIC.length).arrayBuffer());
+    return sodium.to_string(magic) === FILE_MAGIC;
+  }
+
+  function safeFileName(name) {
+    return String(name || "decrypted").replace(/[\\/:*?"<>|\x00-\x1f]/g, "_");
+  }
+
+  async function encryptFile(file, recipientPublicKeys, options = {}) {
+    const myKeys = loadMyKeys();
+    if (!myKeys) throw new Error("No local keypair found");
+
+    const recipients = decodeRecipients(recipientPublicKeys);
+    const flags = options.hideRecipients ? FLAG_HIDDEN_RECIPIENTS : 0;
+    const prefix = concatBytes(sodium.from_string(FILE_MAGIC), [FILE_VERSION]);
+    const binding = startBinding(prefix, flags, sodium.from_base64(myKeys.publicKey), recipients);
+
+    const key = sodium.crypto_secretstream_xchacha20poly1305_keygen();
+    const { state, header } = sodium.crypto_secretstream_xchacha20poly1305_init_push(key);
+    sodium.crypto_generichash_update(binding, header);
+
+    // The recipient block goes in front once the binding covers every frame
+    const parts = [header];
+    const push = (data, tag) => {
+      const chunk = sodium.crypto_secretstream_xchacha20poly1305_push(state, data, null, tag);
+      const frame = concatBytes(uint32Bytes(chunk.length), chunk);
+      sodium.crypto_generichash_update(binding, frame);
+      parts.push(frame);
+    };
+
+    const metadata = { name: file.name, type: file.type, size: file.size, sentAt: Date.now() };
+    push(sodium.from_string(JSON.stringify(metadata)), sodium.crypto_secretstream_xchacha20poly1305_TAG_MESSAGE);
+
+    let offset = 0;
+    do {
+      const end = Math.min(offset + FILE_CHUNK_BYTES, file.size);
+      const chunk = new Uint8Array(await file.slice(offset, end).arrayBuffer());
+      const tag = end === file.size
+        ? sodium.crypto_secretstream_xchacha20poly1305_TAG_FINAL
+        : sodium.crypto_secretstream_xchacha20poly1305_TAG_MESSAGE;
+      push(chunk, tag);
+      offset = end;
+      if (options.onProgress) options.onProgress(file.size ? offset / file.size : 1);
+    } while (offset < file.size);
+
+    const recipientBlock = encodeRecipientBlock(
+      key,
+      sodium.crypto_generichash_final(binding, BINDING_BYTES),
+      recipients,
+      myKeys,
+      flags
+    );
+    sodium.memzero(key);
+    return new Blob([prefix, recipientBlock, ...parts], { type: "application/octet-stream" });
+  }
+
+  // Returns { blob, name, type, ...describeSender() } with the original file
+  async function decryptFile(blob, options = {}) {
+    const myKeys = loadMyKeys();
+    if (!myKeys) throw new Error("No local keypair found");
+    if (!(await isEncryptedFile(blob))) throw messageError("corrupted", "Not a Catcryption file");
+
+    const reader = blobReader(blob);
+    await reader.take(FILE_MAGIC.length);
+    const version = (await reader.take(1))[0];
+    if (!SUPPORTED_FILE_VERSIONS.includes(version)) {
+      throw messageError("unsupported-version", `Unsupported file version ${version}. Update Catcryption to read it.`);
+    }
+    const bound = version >= 2;
+
+    // The recipient block is variable length; read its fixed prefix to size the rest
+    const prefix = await reader.take(1 + sodium.crypto_box_PUBLICKEYBYTES + 2);
+    const count = (prefix[prefix.length - 2] << 8) | prefix[prefix.length - 1];
+    const entries = await reader.take(count * recipientEntryLength((prefix[0] & FLAG_HIDDEN_RECIPIENTS) !== 0, bound));
+    const recipientBlock = readRecipientBlock(byteReader(concatBytes(prefix, entries)), bound);
+
+    const { key, binding } = unwrapContentKey(recipientBlock, myKeys);
+    const expected = binding && startBinding(
+      concatBytes(sodium.from_string(FILE_MAGIC), [version]),
+      recipientBlock.flags,
+      recipientBlock.senderPublicKey,
+      recipientBlock.recipients.map((r) => r.publicKey)
+    );
+    const header = await reader.take(sodium.crypto_secretstream_xchacha20poly1305_HEADERBYTES);
+    if (expected) sodium.crypto_generichash_update(expected, header);
+    let state;
+    try {
+      state = sodium.crypto_secretstream_xchacha20poly1305_init_pull(header, key);
+    } catch (err) {
+      throw messageError("corrupted", "File is corrupted: bad stream header");
+    } finally {
+      sodium.memzero(key);
+    }
+
+    const pull = async () => {
+      const lengthBytes = await reader.take(4);
+      const length = readUint32(lengthBytes);
+      if (length < sodium.crypto_secretstream_xchacha20poly1305_ABYTES
+        || length > FILE_CHUNK_BYTES + sodium.crypto_secretstream_xchacha20poly1305_ABYTES) {
+        throw messageError("corrupted", "File is corrupted: bad chunk length");
+      }
+      const chunk = await reader.take(length);
+      if (expected) sodium.crypto_generichash_update(expected, concatBytes(lengthBytes, chunk));
+      const result = sodium.crypto_secretstream_xchacha20poly1305_pull(state, chunk);
+      if (!result) throw messageError("corrupted", "File is corrupted: a chunk failed authentication");
+      return result;
+    };
+
+    const first = await pull();
+    if (first.tag === sodium.crypto_secretstream_xchacha20poly1305_TAG_FINAL) {
+      throw messageError("corrupted", "File is truncated");
+    }
+    let metadata;
+    try {
+      metadata = JSON.parse(sodium.to_string(first.message));
+    } catch (err) {
+      throw messageError("corrupted", "File is corrupted: unreadable metadata");
+    }
+
+    const chunks = [];
+    let received = 0;
+    let result;
+    do {
+      result = await pull();
+      chunks.push(result.message);
+      received += result.message.length;
+      if (options.onProgress) options.onProgress(metadata.size ? Math.min(received / metadata.size, 1) : 1);
+    } while (result.tag !== sodium.crypto_secretstream_xchacha20poly1305_TAG_FINAL);
+    if (reader.remaining() > 0) throw messageError("corrupted", "File is corrupted: unexpected data after the end");
+    if (expected) checkBinding(binding, expected);
+
+    const type = metadata.type || "application/octet-stream";
+    return {
+      blob: new Blob(chunks, { type }),
+      name: safeFileName(metadata.name),
+      type,
+      ...describeSender(recipientBlock.senderPublicKey, new Date(metadata.sentAt), recipientBlock, myKeys)
+    };
+  }
+
+  // ----------------------
+  // Backup
+  // ----------------------
+  // -----BEGIN CATCRYPTION BACKUP-----
+  // base64(version | kdf iterations (u32) | salt | nonce | secretbox(JSON) | checksum)
+  // -----END CATCRYPTION BACKUP-----
+  //
+  // The backup passphrase is separate from the vault passphrase and goes
+  // through the same PBKDF2 stretching.
+  const BACKUP_VERSION = 1;
+  // The iteration count comes from the file, so bound it: too low is weak,
+  // too high would hang the import
+  const BACKUP_MIN_ITERATIONS = 100000;
+  const BACKUP_MAX_ITERATIONS = 10 * VAULT_KDF_ITERATIONS;
+
+  async function exportBackup(passphrase) {
+    if (!passphrase) throw new Error("A backup passphrase is required");
+    const myKeys = loadMyKeys();
+    if (!myKeys) throw new Error("No local keypair found");
+
+    const salt = sodium.randombytes_buf(VAULT_SALT_BYTES);
+    const key = await deriveVaultKey(passphrase, salt, VAULT_KDF_ITERATIONS);
+    const nonce = sodium.randombytes_buf(sodium.crypto_secretbox_NONCEBYTES);
+    const payload = { myKeys, contacts: loadContacts(), exportedAt: new Date().toISOString() };
+    const cipher = sodium.crypto_secretbox_easy(sodium.from_string(JSON.stringify(payload)), nonce, key);
+    sodium.memzero(key);
+
+    const iterations = new Uint8Array(4);
+    new DataView(iterations.buffer).setUint32(0, VAULT_KDF_ITERATIONS);
+    return armor("BACKUP", concatBytes([BACKUP_VERSION], iterations, salt, nonce, cipher));
+  }
+
+  async function readBackup(text, passphrase) {
+    const data = dearmor("BACKUP", text);
+    if (data[0] !== BACKUP_VERSION) {
+      throw messageError("unsupported-version", `Unsupported backup version ${data[0]}. Update Catcryption to read it.`);
+    }
+
+    const reader = byteReader(data.subarray(1));
+    const iterations = new DataView(reader.take(4).buffer).getUint32(0);
+    if (iterations < BACKUP_MIN_ITERATIONS || iterations > BACKUP_MAX_ITERATIONS) {
+      throw messageError("corrupted", `Backup is corrupted: unreasonable key derivation setting (${iterations} iterations)`);
+    }
+    const salt = reader.take(VAULT_SALT_BYTES);
+    const nonce = reader.take(sodium.crypto_secretbox_NONCEBYTES);
+    const cipher = reader.rest();
+
+    const key = await deriveVaultKey(passphrase, salt, iterations);
+    try {
+      return JSON.parse(sodium.to_string(sodium.crypto_secretbox_open_easy(cipher, nonce, key)));
+    } catch (err) {
+      throw new Error("Wrong backup passphrase");
+    } finally {
+      sodium.memzero(key);
+    }
+  }
+
+  // Backup history entries are only kept if their keys are valid, since the
+  // contact list fingerprints them
+  function mergeKeyHistory(a = [], b = []) {
+    const valid = (h) => isValidPublicKey(h.publicKey) && (!h.signPublicKey || isValidPublicKey(h.signPublicKey));
+    return [...a, ...b.filter((h) => valid(h) && !a.some((x) => sameKey(x.publicKey, h.publicKey)))];
+  }
+
+  // Merges backup contacts into ours. Returns the merged list and what happened:
+  // contacts are matched by key first, then by ID, using key history to tell
+  // which side holds the newer key. Anything that can't be reconciled is added
+  // alongside ours with a "(from backup)" name and reported as a conflict.
+  function mergeContacts(local, incoming) {
+    const contacts = local.map((c) => ({ ...c }));
+    const summary = { added: 0, merged: 0, updated: 0, skipped: 0, conflicts: [] };
+
+    incoming.forEach((raw) => {
+      let publicKey;
+      try {
+        publicKey = validatePublicKey(raw.publicKey);
+      } catch (err) {
+        summary.skipped++;
+        return;
+      }
+      const inc = { ...raw, publicKey };
+      if (raw.keyHistory) inc.keyHistory = mergeKeyHistory([], raw.keyHistory);
+      delete inc.signPublicKey;
+      if (raw.signPublicKey && isValidPublicKey(raw.signPublicKey)) inc.signPublicKey = validatePublicKey(raw.signPublicKey);
+      // A signing key belongs to one contact only, as in addContact
+      const signKeyTaken = (self) => !!inc.signPublicKey
+        && contacts.some((c) => c !== self && c.signPublicKey && sameKey(c.signPublicKey, inc.signPublicKey));
+
+      const byKey = contacts.find((c) => sameKey(c.publicKey, publicKey));
+      if (byKey) {
+        byKey.verified = !!(byKey.verified || inc.verified);
+        if (!byKey.signPublicKey && inc.signPublicKey && !signKeyTaken(byKey)) byKey.signPublicKey = inc.signPublicKey;
+        if (!byKey.verifiedSignKey && inc.verified && inc.verifiedSignKey) byKey.verifiedSignKey = inc.verifiedSignKey;
+        byKey.keyHistory = mergeKeyHistory(byKey.keyHistory, inc.keyHistory);
+        summary.merged++;
+        return;
+      }
+
+      const byId = contacts.find((c) => c.id === inc.id);
+      const incHistory = inc.keyHistory || [];
+      if (byId) {
+        if ((byId.keyHistory || []).some((h) => sameKey(h.publicKey, publicKey))) {
+          summary.merged++; // the backup has a key we've since replaced
+          return;
+        }
+        if (incHistory.some((h) => sameKey(h.publicKey, byId.publicKey))) {
+          Object.assign(byId, {
+            publicKey,
+            verified: !!inc.verified,
+            keyHistory: mergeKeyHistory(byId.keyHistory, incHistory),
+            keyChangedAt: inc.keyChangedAt,
+            verifiedSignKey: inc.verifiedSignKey
+          });
+          if (!byId.keyChangedAt) delete byId.keyChangedAt;
+          if (!byId.verifiedSignKey) delete byId.verifiedSignKey;
+          // The signing key goes with the box key it came with, as in replaceContactKey
+          if (inc.signPublicKey && !signKeyTaken(byId)) byId.signPublicKey = inc.signPublicKey;
+          else delete byId.signPublicKey;
+          summary.updated++;
+          return;
+        }
+        if (signKeyTaken(null)) delete inc.signPublicKey;
+        contacts.push({ ...inc, id: newContactId(), name: `${inc.name} (from backup)`, verified: false });
+        summary.conflicts.push(inc.name);
+        return;
+      }
+
+      if (contacts.some((c) => (c.keyHistory || []).some((h) => sameKey(h.publicKey, publicKey)))) {
+        summary.skipped++; // an old key of someone we already have
+        return;
+      }
+      if (signKeyTaken(null)) delete inc.signPublicKey;
+      contacts.push({ ...inc, id: inc.id || newContactId() });
+      summary.added++;
+    });
+
+    return { contacts, summary };
+  }
+
+  return {
+    ready: sodium.ready,
+
+    // Keys
+    generateKeyPair,
+    ensureSigningKeys,
+    saveMyKeys,
+    loadMyKeys,
+    shareCode,
+    parseShareCode,
+
+    // Vault
+    isVaultCreated,
+    isUnlocked,
+    hasLegacyData,
+    createVault,
+    unlockVault,
+    lockVault,
+    loadLockMinutes,
+    saveLockMinutes,
+
+    // Contacts
+    loadContacts,
+    saveContacts,
+    sameKey,
+    findContact,
+    findContactByKey,
+    findContactBySignKey,
+    addContact,
+    updateContact,
+    setContactVerified,
+    setContactSignKey,
+    isSignKeyVerified,
+    renameContact,
+    deleteContact,
+    replaceContactKey,
+    keyFingerprint,
+    safetyNumber,
+
+    // Messages
+    armor,
+    dearmor,
+    isArmored,
+    encryptMessage,
+    decryptMessage,
+
+    // Signatures
+    signMessage,
+    verifySignedMessage,
+
+    // Files
+    FILE_EXTENSION,
+    isEncryptedFile,
+    encryptFile,
+    decryptFile,
+
+    // Backup
+    exportBackup,
+    readBackup,
+    mergeContacts
+  };
+}
+
+if (typeof module === "object" && module.exports) {
+  module.exports = { createCatcryption, createMemoryStorage };
+}
@@ -0,0 +1,273 @@
+#!/usr/bin/env node
+// ----------------------
+// Catcryption command line
+// ----------------------
+// Generates keys and encrypts/decrypts messages in the same format as the
+// PWA, so scripts and CI can exchange messages with it. Keys and contacts are
+// sealed under a passphrase in a JSON key store, the same way the PWA seals
+// them in localStorage.
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { parseArgs } = require("util");
+const { createCatcryption } = require("./catcryption.js");
+
+const USAGE = `Usage: catcryption <command> [options]
+
+Commands:
+  keygen [--force]              Create the key store if needed and generate a key pair
+  pubkey                        Print your share code (public keys) for others to add
+  add-contact <name> <key>      Save a contact from a public key or share code
+  contacts                      List contacts with fingerprints and safety numbers
+  encrypt -r <contact|key>...   Encrypt a message for one or more recipients
+          [--hide-recipients] [message]
+  decrypt [file]                Decrypt a message; sender details go to stderr
+  sign [message]                Clear-sign a statement
+  verify [file]                 Verify a signed statement
+
+Messages are read from the argument, the file, or stdin.
+
+Options:
+  --store <path>   Key store (default: $CATCRYPTION_STORE or ~/.catcryption.json)
+  -h, --help       Show this help
+
+The key store passphrase is read from $CATCRYPTION_PASSPHRASE, or prompted
+for when running in a terminal.`;
+
+// ----------------------
+// Key store
+// ----------------------
+// localStorage-shaped backend over a JSON file; every write is flushed
+function createFileStorage(file) {
+  const items = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : {};
+  const flush = () => fs.writeFileSync(file, JSON.stringify(items, null, 2) + "\n", { mode: 0o600 });
+  return {
+    getItem: (name) => (Object.prototype.hasOwnProperty.call(items, name) ? items[name] : null),
+    setItem(name, value) {
+      items[name] = String(value);
+      flush();
+    },
+    removeItem(name) {
+      delete items[name];
+      flush();
+    }
+  };
+}
+
+function defaultStorePath() {
+  return process.env.CATCRYPTION_STORE || path.join(os.homedir(), ".catcryption.json");
+}
+
+// ----------------------
+// Terminal input
+// ----------------------
+function readStdin() {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    process.stdin.on("data", (chunk) => chunks.push(chunk));
+    process.stdin.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+    process.stdin.on("error", reject);
+  });
+}
+
+function promptHidden(question) {
+  if (!process.stdin.isTTY) {
+    return Promise.reject(new Error("No terminal to ask for a passphrase; set CATCRYPTION_PASSPHRASE"));
+  }
+
+  return new Promise((resolve) => {
+    let input = "";
+    process.stderr.write(question);
+    process.stdin.setRawMode(true);
+    process.stdin.resume();
+    process.stdin.setEncoding("utf8");
+
+    const onData = (chars) => {
+      for (const ch of chars) {
+        if (ch === "\r" || ch === "\n") {
+          process.stdin.setRawMode(false);
+          process.stdin.pause();
+          process.stdin.removeListener("data", onData);
+          process.stderr.write("\n");
+          resolve(input);
+          return;
+        }
+        if (ch === "\u0003") process.exit(130); // Ctrl-C
+        input = ch === "\u007f" ? input.slice(0, -1) : input + ch;
+      }
+    };
+    process.stdin.on("data", onData);
+  });
+}
+
+async function passphrase(confirm) {
+  if (process.env.CATCRYPTION_PASSPHRASE) return process.env.CATCRYPTION_PASSPHRASE;
+
+  const first = await promptHidden("Passphrase: ");
+  if (!first) throw new Error("A passphrase is required");
+  if (confirm && first !== (await promptHidden("Confirm passphrase: "))) {
+    throw new Error("Passphrases do not match");
+  }
+  return first;
+}
+
+// Message text from the positional argument, a file, or stdin
+async function readInput(arg, isFile) {
+  if (arg !== undefined) return isFile ? fs.readFileSync(arg, "utf8") : arg;
+  return readStdin();
+}
+
+// ----------------------
+// Commands
+// ----------------------
+async function unlock(cat) {
+  if (!cat.isVaultCreated()) throw new Error("No key store yet; run `catcryption keygen` first");
+  await cat.unlockVault(await passphrase(false));
+}
+
+function resolveRecipient(cat, value) {
+  const byName = cat.loadContacts().filter((c) => c.name.toLowerCase() === value.toLowerCase());
+  if (byName.length > 1) throw new Error(`More than one contact is named "${value}"; use their key instead`);
+  if (byName.length === 1 && byName[0].invalidKey) throw new Error(`${byName[0].name}'s saved key is invalid; replace it first`);
+  if (byName.length === 1) return byName[0].publicKey;
+  try {
+    return cat.parseShareCode(value).publicKey;
+  } catch (err) {
+    throw new Error(`"${value}" is not a contact name or a public key`);
+  }
+}
+
+function describeSender(result) {
+  const lines = [];
+  if (result.contact) {
+    lines.push(`From: ${result.contact.name}${result.contact.verified ? " (verified)" : " (not verified)"}`);
+  } else {
+    lines.push(`From: unknown sender ${result.senderPublicKey}`);
+  }
+  if (result.sentAt) lines.push(`Sent: ${result.sentAt.toISOString()}`);
+  if (result.recipients) {
+    lines.push(`To: ${result.recipients.map((r) => (r.contact ? r.contact.name : r.publicKey)).join(", ")}`);
+  } else {
+    lines.push("To: (recipient list hidden)");
+  }
+  result.warnings.forEach((w) => lines.push(`Warning: ${w}`));
+  return lines.join("\n");
+}
+
+const commands = {
+  async keygen(cat, { values }) {
+    if (cat.isVaultCreated()) {
+      await unlock(cat);
+    } else {
+      await cat.createVault(await passphrase(true));
+    }
+    if (cat.loadMyKeys() && !values.force) {
+      throw new Error("A key pair already exists; pass --force to replace it (messages to the old key become unreadable)");
+    }
+    cat.saveMyKeys(cat.generateKeyPair());
+    console.log(cat.shareCode(cat.loadMyKeys()));
+  },
+
+  async pubkey(cat) {
+    await unlock(cat);
+    const keys = cat.ensureSigningKeys();
+    if (!keys) throw new Error("No key pair yet; run `catcryption keygen` first");
+    console.log(cat.shareCode(keys));
+  },
+
+  async "add-contact"(cat, { positionals: [name, key] }) {
+    if (!name || !key) throw new Error("Usage: catcryption add-contact <name> <key>");
+    await unlock(cat);
+    const contact = cat.addContact(name, key);
+    console.log(contact.signPublicKey
+      ? `Added ${contact.name} (${cat.keyFingerprint(contact.publicKey, contact.signPublicKey)})`
+      : `Added ${contact.name} without a signing key; add their share code in the app to compare safety numbers`);
+  },
+
+  async contacts(cat) {
+    await unlock(cat);
+    const myKeys = cat.loadMyKeys();
+    cat.loadContacts().forEach((c) => {
+      console.log(`${c.name}${c.verified ? " (verified)" : ""}`);
+      console.log(`  key:           ${c.publicKey}`);
+      if (c.invalidKey) {
+        console.log("  (invalid key; replace it in the app or delete this contact)");
+        return;
+      }
+      if (!c.signPublicKey) {
+        console.log("  (no signing key, so no safety number to compare; add their share code in the app)");
+        return;
+      }
+      console.log(`  fingerprint:   ${cat.keyFingerprint(c.publicKey, c.signPublicKey)}`);
+      if (myKeys) console.log(`  safety number: ${cat.safetyNumber(myKeys, c)}`);
+    });
+  },
+
+  async encrypt(cat, { values, positionals: [message] }) {
+    if (!values.recipient || values.recipient.length === 0) throw new Error("Name at least one recipient with -r");
+    await unlock(cat);
+    const recipients = values.recipient.map((r) => resolveRecipient(cat, r));
+    const text = await readInput(message, false);
+    console.log(cat.encryptMessage(recipients, text, { hideRecipients: values["hide-recipients"] }));
+  },
+
+  async decrypt(cat, { positionals: [file] }) {
+    await unlock(cat);
+    const result = cat.decryptMessage(await readInput(file, true));
+    console.error(describeSender(result));
+    process.stdout.write(result.text);
+    if (process.stdout.isTTY) process.stdout.write("\n");
+  },
+
+  async sign(cat, { positionals: [message] }) {
+    await unlock(cat);
+    cat.ensureSigningKeys();
+    console.log(cat.signMessage(await readInput(message, false)));
+  },
+
+  async verify(cat, { positionals: [file] }) {
+    await unlock(cat);
+    const result = cat.verifySignedMessage(await readInput(file, true));
+    const signer = result.contact
+      ? `${result.contact.name}${result.signerVerified ? " (verified)" : " (not verified)"}`
+      : `unknown signer ${result.signPublicKey}`;
+    console.error(`Good signature from ${signer}`);
+    console.error(`Signed: ${result.signedAt.toISOString()}`);
+    result.warnings.forEach((w) => console.error(`Warning: ${w}`));
+    console.log(result.text);
+  }
+};
+
+async function main(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      store: { type: "string" },
+      recipient: { type: "string", short: "r", multiple: true },
+      "hide-recipients": { type: "boolean" },
+      force: { type: "boolean" },
+      help: { type: "boolean", short: "h" }
+    }
+  });
+
+  const [command, ...rest] = positionals;
+  if (values.help || !command) {
+    console.log(USAGE);
+    return;
+  }
+  if (!Object.prototype.hasOwnProperty.call(commands, command)) throw new Error(`Unknown command "${command}"\n\n${USAGE}`);
+
+  const cat = createCatcryption({ storage: createFileStorage(values.store || defaultStorePath()) });
+  await cat.ready;
+  await commands[command](cat, { values, positionals: rest });
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).catch((err) => {
+    console.error(`catcryption: ${err.code ? `${err.code}: ` : ""}${err.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = { main, createFileStorage };
@@ -0,0 +1,52 @@
+// ----------------------
+// Service worker: offline app shell
+// ----------------------
+// Everything the app needs is cached on install and served cache-first, so it
+// runs offline and never loads code from anywhere but this origin. Bump
+// CACHE_NAME whenever any of these files change so clients pick up the update.
+const CACHE_NAME = "catcryption-v3";
+const APP_SHELL = [
+  "./",
+  "index.html",
+  "style.css",
+  "app.js",
+  "sodium.js",
+  "catcryption.js",
+  "qrcode.js",
+  "html5-qrcode.min.js",
+  "manifest.webmanifest",
+  "icon-192.png",
+  "icon-512.png"
+];
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME)
+      .then((cache) => cache.addAll(APP_SHELL))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then((names) => Promise.all(names.filter((n) => n !== CACHE_NAME).map((n) => caches.delete(n))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("fetch", (event) => {
+  const request = event.request;
+  if (request.method !== "GET" || new URL(request.url).origin !== self.location.origin) return;
+
+  event.respondWith(
+    caches.match(request, { ignoreSearch: true }).then((cached) => {
+      if (cached) return cached;
+      return fetch(request).catch(() => {
+        // Offline and not cached: page loads still get the app
+        if (request.mode === "navigate") return caches.match("index.html");
+        throw new Error("Offline and not cached: " + request.url);
+      });
+    })
+  );
+});
@@ -0,0 +1,128 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createIdentity, tamper } = require("./helpers.js");
+
+test("backups", async (t) => {
+  const alice = await createIdentity();
+  alice.addContact("Bob", alice.generateKeyPair().publicKey);
+  const backup = await alice.exportBackup("backup passphrase");
+
+  await t.test("restore keys and contacts", async () => {
+    const restored = await alice.readBackup(backup, "backup passphrase");
+    assert.equal(restored.myKeys.privateKey, alice.keys.privateKey);
+    assert.equal(restored.contacts[0].name, "Bob");
+  });
+
+  await t.test("reject a wrong passphrase", async () => {
+    await assert.rejects(alice.readBackup(backup, "guess"), /Wrong backup passphrase/);
+  });
+
+  await t.test("reject out-of-range key derivation settings before deriving", async () => {
+    for (const iterations of [0, 0xffffffff]) {
+      const crafted = tamper(alice, "BACKUP", backup, (bytes) => {
+        new DataView(bytes.buffer, bytes.byteOffset).setUint32(1, iterations);
+      });
+      await assert.rejects(alice.readBackup(crafted, "backup passphrase"), { code: "corrupted", message: /key derivation/ });
+    }
+  });
+
+  await t.test("merge into existing contacts without duplicates", () => {
+    const { contacts, summary } = alice.mergeContacts(alice.loadContacts(), alice.loadContacts());
+    assert.equal(contacts.length, 1);
+    assert.equal(summary.merged, 1);
+  });
+
+  await t.test("carry the signing key over with a changed box key", () => {
+    const [oldKeys, newKeys, eveKeys] = [alice.generateKeyPair(), alice.generateKeyPair(), alice.generateKeyPair()];
+    const local = [{ id: "bob", name: "Bob", publicKey: oldKeys.publicKey, signPublicKey: oldKeys.signPublicKey, verified: true }];
+    const changed = {
+      ...local[0],
+      publicKey: newKeys.publicKey,
+      signPublicKey: newKeys.signPublicKey,
+      verified: false,
+      keyHistory: [{ publicKey: oldKeys.publicKey, signPublicKey: oldKeys.signPublicKey, replacedAt: new Date().toISOString() }]
+    };
+
+    const { contacts, summary } = alice.mergeContacts(local, [changed]);
+    assert.equal(summary.updated, 1);
+    assert.equal(contacts[0].publicKey, newKeys.publicKey);
+    assert.equal(contacts[0].signPublicKey, newKeys.signPublicKey);
+
+    // A new key without a signing key retires the old signing key too
+    const unsigned = { ...changed };
+    delete unsigned.signPublicKey;
+    assert.equal(alice.mergeContacts(local, [unsigned]).contacts[0].signPublicKey, undefined);
+
+    // Someone else's signing key is never copied onto this contact
+    const eve = { id: "eve", name: "Eve", publicKey: eveKeys.publicKey, signPublicKey: newKeys.signPublicKey };
+    const stolen = alice.mergeContacts([...local, eve], [changed]).contacts.find((c) => c.id === "bob");
+    assert.equal(stolen.publicKey, newKeys.publicKey);
+    assert.equal(stolen.signPublicKey, undefined);
+  });
+
+  await t.test("fill in a signing key the local copy lacks", () => {
+    const keys = alice.generateKeyPair();
+    const local = [{ id: "bob", name: "Bob", publicKey: keys.publicKey }];
+    const incoming = [{ ...local[0], signPublicKey: keys.signPublicKey }];
+    assert.equal(alice.mergeContacts(local, incoming).contacts[0].signPublicKey, keys.signPublicKey);
+  });
+
+  await t.test("restored keys from before signing existed get a signing key", async () => {
+    const old = await createIdentity();
+    const { publicKey, privateKey } = old.keys;
+    old.saveMyKeys({ publicKey, privateKey });
+    const restored = await old.readBackup(await old.exportBackup("backup passphrase"), "backup passphrase");
+
+    const fresh = await createIdentity();
+    fresh.saveMyKeys(restored.myKeys);
+    const keys = fresh.ensureSigningKeys();
+    assert.equal(keys.publicKey, publicKey);
+    assert.ok(keys.signPublicKey);
+    assert.ok(fresh.verifySignedMessage(fresh.signMessage("signed after restore")));
+  });
+
+  await t.test("merge every kind of backup contact", () => {
+    const [carol, dave, daveNew, erin, stranger] = Array.from({ length: 5 }, () => alice.generateKeyPair());
+    const replacedAt = new Date().toISOString();
+    const local = [
+      { id: "carol", name: "Carol", publicKey: carol.publicKey, verified: false },
+      // We already moved Dave on to a new key
+      { id: "dave", name: "Dave", publicKey: daveNew.publicKey, keyHistory: [{ publicKey: dave.publicKey, replacedAt }] },
+      { id: "erin", name: "Erin", publicKey: erin.publicKey }
+    ];
+    const incoming = [
+      { id: "carol", name: "Carol", publicKey: carol.publicKey, verified: true },
+      { id: "dave", name: "Dave", publicKey: dave.publicKey },
+      // Same ID as Erin but an unrelated key: can't tell which is right
+      { id: "erin", name: "Erin", publicKey: stranger.publicKey },
+      { id: "frank", name: "Frank", publicKey: alice.generateKeyPair().publicKey },
+      { id: "gone", name: "Old Dave", publicKey: dave.publicKey },
+      { id: "bad", name: "Broken", publicKey: "not a key" }
+    ];
+
+    const { contacts, summary } = alice.mergeContacts(local, incoming);
+    assert.deepEqual(summary, { added: 1, merged: 2, updated: 0, skipped: 2, conflicts: ["Erin"] });
+
+    assert.equal(contacts.find((c) => c.id === "carol").verified, true);
+    assert.equal(contacts.find((c) => c.id === "dave").publicKey, daveNew.publicKey);
+    assert.equal(contacts.find((c) => c.id === "erin").publicKey, erin.publicKey);
+    const conflict = contacts.find((c) => c.name === "Erin (from backup)");
+    assert.equal(conflict.publicKey, stranger.publicKey);
+    assert.notEqual(conflict.id, "erin");
+    assert.equal(conflict.verified, false);
+    assert.ok(contacts.some((c) => c.id === "frank"));
+    assert.ok(!contacts.some((c) => c.name === "Old Dave" || c.name === "Broken"));
+    // The input lists are left alone
+    assert.equal(local[0].verified, false);
+  });
+
+  await t.test("drop backup key history entries with invalid keys", () => {
+    const keys = alice.generateKeyPair();
+    const old = alice.generateKeyPair();
+    const history = [{ publicKey: "garbage", replacedAt: "x" }, { publicKey: old.publicKey, signPublicKey: "AAAA" }, { publicKey: old.publicKey }];
+    const { contacts } = alice.mergeContacts([], [{ id: "h", name: "History", publicKey: keys.publicKey, keyHistory: history }]);
+    assert.deepEqual(contacts[0].keyHistory, [{ publicKey: old.publicKey }]);
+    contacts[0].keyHistory.forEach((h) => alice.keyFingerprint(h.publicKey, h.signPublicKey));
+  });
+});
+
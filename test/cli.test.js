@@ -0,0 +1,92 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { spawnSync } = require("child_process");
+const { createIdentity, PASSPHRASE } = require("./helpers.js");
+
+const CLI = path.join(__dirname, "..", "cli.js");
+
+test("command line", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "catcryption-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const env = { ...process.env, CATCRYPTION_STORE: path.join(dir, "store.json"), CATCRYPTION_PASSPHRASE: PASSPHRASE };
+  const run = (args, input) => spawnSync(process.execPath, [CLI, ...args], { env, input, encoding: "utf8", timeout: 60 * 1000 });
+
+  // The PWA side of the conversation
+  const pwa = await createIdentity();
+  pwa.ensureSigningKeys();
+
+  const keygen = run(["keygen"]);
+  assert.equal(keygen.status, 0, keygen.stderr);
+  const myCode = keygen.stdout.trim();
+  const myKey = pwa.parseShareCode(myCode).publicKey;
+
+  await t.test("refuses to replace keys without --force", () => {
+    const again = run(["keygen"]);
+    assert.equal(again.status, 1);
+    assert.match(again.stderr, /--force/);
+    assert.equal(run(["pubkey"]).stdout.trim(), myCode);
+  });
+
+  await t.test("adds contacts by share code", () => {
+    const added = run(["add-contact", "Pwa", pwa.shareCode(pwa.loadMyKeys())]);
+    assert.equal(added.status, 0, added.stderr);
+    assert.match(run(["contacts"]).stdout, /Pwa/);
+  });
+
+  await t.test("offers no safety number for contacts added by bare key", () => {
+    const added = run(["add-contact", "Bare", pwa.generateKeyPair().publicKey]);
+    assert.equal(added.status, 0, added.stderr);
+    assert.match(added.stdout, /without a signing key/);
+
+    const listed = run(["contacts"]).stdout;
+    const bare = listed.slice(listed.indexOf("Bare"));
+    assert.match(bare, /no signing key/);
+    assert.doesNotMatch(bare, /safety number:/);
+  });
+
+  await t.test("encrypts messages the PWA can read", () => {
+    const encrypted = run(["encrypt", "-r", "Pwa"], "from the terminal");
+    assert.equal(encrypted.status, 0, encrypted.stderr);
+    const result = pwa.decryptMessage(encrypted.stdout);
+    assert.equal(result.text, "from the terminal");
+    assert.equal(result.senderPublicKey, myKey);
+  });
+
+  await t.test("decrypts messages from the PWA", () => {
+    const decrypted = run(["decrypt"], pwa.encryptMessage([myKey], "from the browser"));
+    assert.equal(decrypted.status, 0, decrypted.stderr);
+    assert.equal(decrypted.stdout, "from the browser");
+    assert.match(decrypted.stderr, /From: Pwa/);
+  });
+
+  await t.test("reports error codes and fails", () => {
+    const other = pwa.generateKeyPair().publicKey;
+    const decrypted = run(["decrypt"], pwa.encryptMessage([other], "not for the terminal"));
+    assert.equal(decrypted.status, 1);
+    assert.match(decrypted.stderr, /not-for-me/);
+  });
+
+  await t.test("signs and verifies statements", () => {
+    const signed = run(["sign", "terminal statement"]);
+    assert.equal(signed.status, 0, signed.stderr);
+    assert.equal(pwa.verifySignedMessage(signed.stdout).text, "terminal statement");
+
+    const verified = run(["verify"], pwa.signMessage("browser statement"));
+    assert.equal(verified.status, 0, verified.stderr);
+    assert.match(verified.stderr, /Good signature from Pwa/);
+    assert.equal(verified.stdout.trim(), "browser statement");
+  });
+
+  await t.test("needs the right passphrase", () => {
+    const wrong = spawnSync(process.execPath, [CLI, "pubkey"], {
+      env: { ...env, CATCRYPTION_PASSPHRASE: "nope" },
+      encoding: "utf8",
+      timeout: 60 * 1000
+    });
+    assert.equal(wrong.status, 1);
+    assert.match(wrong.stderr, /Wrong passphrase/);
+  });
+});
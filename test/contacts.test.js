@@ -0,0 +1,161 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createCatcryption, createMemoryStorage } = require("../catcryption.js");
+const { PASSPHRASE, createIdentity } = require("./helpers.js");
+
+test("contacts from older versions", async (t) => {
+  await t.test("flag malformed keys instead of failing to render", async () => {
+    const scratch = createCatcryption({ storage: createMemoryStorage() });
+    await scratch.ready;
+    const good = scratch.generateKeyPair().publicKey;
+
+    // Saved before IDs or key validation existed
+    const storage = createMemoryStorage({
+      contacts: JSON.stringify([
+        { name: "Typo", publicKey: "not a key" },
+        { name: "Short", publicKey: "AAAA" },
+        { name: "Good", publicKey: good }
+      ])
+    });
+    const cat = createCatcryption({ storage });
+    await cat.createVault(PASSPHRASE);
+    cat.saveMyKeys(cat.generateKeyPair());
+
+    const contacts = cat.loadContacts();
+    assert.deepEqual(contacts.map((c) => [c.name, !!c.invalidKey]), [["Typo", true], ["Short", true], ["Good", false]]);
+    assert.ok(contacts.every((c) => c.id));
+
+    // Everything the contact list shows works for the valid entries...
+    contacts.filter((c) => !c.invalidKey).forEach((c) => {
+      cat.keyFingerprint(c.publicKey, c.signPublicKey);
+      cat.safetyNumber(cat.loadMyKeys(), c);
+    });
+
+    // ...and the broken ones can still be fixed or deleted
+    const fixed = cat.replaceContactKey(contacts[0].id, cat.generateKeyPair().publicKey);
+    assert.equal(fixed.invalidKey, undefined);
+    assert.equal((fixed.keyHistory || []).length, 0);
+    cat.keyFingerprint(fixed.publicKey, fixed.signPublicKey);
+
+    cat.deleteContact(contacts[1].id);
+    assert.deepEqual(cat.loadContacts().map((c) => c.name), ["Typo", "Good"]);
+  });
+});
+
+test("safety numbers", async (t) => {
+  const alice = await createIdentity();
+  const bob = await createIdentity();
+  const aliceKeys = alice.loadMyKeys();
+  const bobKeys = bob.loadMyKeys();
+
+  await t.test("match on both sides", () => {
+    const aliceSees = alice.safetyNumber(aliceKeys, alice.addContact("Bob", bob.shareCode(bobKeys)));
+    const bobSees = bob.safetyNumber(bobKeys, bob.addContact("Alice", alice.shareCode(aliceKeys)));
+    assert.equal(aliceSees, bobSees);
+    assert.match(aliceSees, /^(\d{5} ){5}\d{5}$/);
+  });
+
+  await t.test("refuse missing or invalid keys instead of hashing nothing", () => {
+    assert.throws(() => alice.safetyNumber(aliceKeys.publicKey, bobKeys.publicKey), /not a valid public key/);
+    assert.throws(() => alice.safetyNumber(aliceKeys, { publicKey: "AAAA" }), /not a valid public key/);
+    assert.throws(() => alice.keyFingerprint(undefined), /not a valid public key/);
+    assert.throws(() => alice.keyFingerprint(bobKeys.publicKey, "AAAA"), /not a valid signing key/);
+  });
+
+  await t.test("cover the signing key", () => {
+    const swapped = { ...bobKeys, signPublicKey: alice.generateKeyPair().signPublicKey };
+    assert.notEqual(alice.safetyNumber(aliceKeys, swapped), alice.safetyNumber(aliceKeys, bobKeys));
+    assert.notEqual(
+      alice.keyFingerprint(bobKeys.publicKey, swapped.signPublicKey),
+      alice.keyFingerprint(bobKeys.publicKey, bobKeys.signPublicKey)
+    );
+  });
+});
+
+test("contact list", async (t) => {
+  const me = await createIdentity();
+  const them = me.generateKeyPair();
+  const bob = me.addContact("Bob", me.shareCode(them));
+
+  await t.test("rejects invalid, duplicate and own keys", () => {
+    assert.throws(() => me.addContact("Typo", "not a key"), /bad base64/);
+    assert.throws(() => me.addContact("Short", "AAAA"), /expected 32 bytes/);
+    assert.throws(() => me.addContact("Me", me.keys.publicKey), /your own public key/);
+    assert.throws(() => me.addContact("Bob again", them.publicKey), /already saved as "Bob"/);
+
+    const other = me.generateKeyPair();
+    assert.throws(
+      () => me.addContact("Impostor", `catcryption:${other.publicKey}?sign=${them.signPublicKey}`),
+      /signing key is already saved for "Bob"/
+    );
+    assert.equal(me.loadContacts().length, 1);
+  });
+
+  await t.test("keeps the old key in history when it changes", () => {
+    me.setContactVerified(bob.id, true);
+    const next = me.generateKeyPair();
+    const changed = me.replaceContactKey(bob.id, me.shareCode(next));
+
+    assert.equal(changed.publicKey, next.publicKey);
+    assert.equal(changed.signPublicKey, next.signPublicKey);
+    assert.equal(changed.verified, false);
+    assert.ok(changed.keyChangedAt);
+    assert.equal(changed.keyHistory.length, 1);
+    assert.equal(changed.keyHistory[0].publicKey, them.publicKey);
+    assert.equal(changed.keyHistory[0].signPublicKey, them.signPublicKey);
+
+    assert.throws(() => me.replaceContactKey(bob.id, next.publicKey), /already this contact's key/);
+    assert.equal(me.setContactVerified(bob.id, true).keyChangedAt, undefined);
+  });
+
+  await t.test("migrates contacts without IDs and merges duplicate keys", () => {
+    // The same key twice, once in standard padded base64, saved before IDs existed
+    const key = me.generateKeyPair().publicKey;
+    const padded = Buffer.from(key, "base64url").toString("base64");
+    me.saveContacts([
+      ...me.loadContacts(),
+      { name: "Carol", publicKey: key },
+      { name: "Carol (old copy)", publicKey: padded, verified: true }
+    ]);
+
+    const migrated = me.loadContacts();
+    const carol = migrated.filter((c) => c.name.startsWith("Carol"));
+    assert.equal(carol.length, 1);
+    assert.equal(carol[0].name, "Carol");
+    assert.equal(carol[0].publicKey, key);
+    assert.equal(carol[0].verified, true);
+    assert.ok(migrated.every((c) => c.id));
+  });
+
+  await t.test("adds a signing key later, but only one nobody else has", () => {
+    const dave = me.generateKeyPair();
+    const erin = me.generateKeyPair();
+    const daveContact = me.addContact("Dave", dave.publicKey);
+    const erinContact = me.addContact("Erin", me.shareCode(erin));
+
+    // Dave's box key with Erin's signing key, e.g. from a doctored QR code
+    assert.throws(() => me.setContactSignKey(daveContact.id, erin.signPublicKey), /already saved for "Erin"/);
+    assert.equal(me.findContact(daveContact.id).signPublicKey, undefined);
+
+    assert.equal(me.setContactSignKey(daveContact.id, dave.signPublicKey).signPublicKey, dave.signPublicKey);
+    assert.equal(me.setContactSignKey(daveContact.id, dave.signPublicKey).signPublicKey, dave.signPublicKey);
+    assert.throws(() => me.setContactSignKey(erinContact.id, dave.signPublicKey), /already saved for "Dave"/);
+    assert.throws(() => me.setContactSignKey(daveContact.id, me.generateKeyPair().signPublicKey), /different signing key/);
+    assert.throws(() => me.setContactSignKey(daveContact.id, "AAAA"), /not a valid signing key/);
+  });
+
+  await t.test("parses share codes and bare keys", () => {
+    const keys = me.generateKeyPair();
+    assert.deepEqual(me.parseShareCode(` ${keys.publicKey}\n`), { publicKey: keys.publicKey, signPublicKey: null });
+    assert.deepEqual(me.parseShareCode(me.shareCode(keys)), { publicKey: keys.publicKey, signPublicKey: keys.signPublicKey });
+
+    // Standard base64, "+" and "/" included, is accepted and canonicalised
+    const standard = (k) => Buffer.from(k, "base64url").toString("base64");
+    assert.deepEqual(
+      me.parseShareCode(`catcryption:${standard(keys.publicKey)}?sign=${standard(keys.signPublicKey)}`),
+      { publicKey: keys.publicKey, signPublicKey: keys.signPublicKey }
+    );
+    assert.throws(() => me.parseShareCode(`catcryption:${keys.publicKey}?sign=AAAA`), /not a valid signing key/);
+  });
+});
+
@@ -0,0 +1,170 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const sodium = require("../sodium.js");
+const { createIdentity, tamper } = require("./helpers.js");
+
+const ENTRY_BYTES = 32 + 24 + 32 + 32 + 16; // recipient key | nonce | wrap(content key | binding)
+
+// What a co-recipient can do with a version 4 message: open their own wrap to
+// learn the content key, then re-encrypt new content under it, keeping the
+// sender's recipient block. edit may also change the block.
+function forgeAsRecipient(cat, message, text, edit) {
+  const data = cat.dearmor("MESSAGE", message).slice();
+  const count = (data[34] << 8) | data[35];
+  const blockEnd = 36 + count * ENTRY_BYTES;
+  const keys = cat.loadMyKeys();
+
+  let contentKey;
+  for (let i = 0; i < count; i++) {
+    const entry = data.subarray(36 + i * ENTRY_BYTES, 36 + (i + 1) * ENTRY_BYTES);
+    if (sodium.to_base64(entry.subarray(0, 32)) !== keys.publicKey) continue;
+    const payload = sodium.crypto_box_open_easy(entry.subarray(56), entry.subarray(32, 56), data.subarray(2, 34), sodium.from_base64(keys.privateKey));
+    contentKey = payload.subarray(0, 32);
+  }
+
+  const header = data.slice(0, blockEnd);
+  if (edit) edit(header);
+  const timestamp = new Uint8Array(8);
+  new DataView(timestamp.buffer).setBigUint64(0, BigInt(Date.now()));
+  const nonce = sodium.randombytes_buf(24);
+  const content = sodium.crypto_secretbox_easy(new Uint8Array([...timestamp, ...sodium.from_string(text)]), nonce, contentKey);
+  return cat.armor("MESSAGE", new Uint8Array([...header, ...nonce, ...content]));
+}
+
+test("message envelopes", async (t) => {
+  const alice = await createIdentity();
+  const bob = await createIdentity();
+  const carol = await createIdentity();
+  bob.addContact("Alice", alice.keys.publicKey);
+
+  await t.test("round-trips to a single recipient", () => {
+    const message = alice.encryptMessage([bob.keys.publicKey], "hello bob 🐈");
+    assert.ok(alice.isArmored("MESSAGE", message));
+
+    const result = bob.decryptMessage(message);
+    assert.equal(result.text, "hello bob 🐈");
+    assert.equal(result.senderPublicKey, alice.keys.publicKey);
+    assert.equal(result.contact.name, "Alice");
+    assert.ok(Math.abs(result.sentAt - Date.now()) < 60 * 1000);
+    assert.deepEqual(result.warnings, []);
+  });
+
+  await t.test("round-trips to several recipients and lists them", () => {
+    const message = alice.encryptMessage([bob.keys.publicKey, carol.keys.publicKey], "hi both");
+    assert.equal(bob.decryptMessage(message).text, "hi both");
+
+    const result = carol.decryptMessage(message);
+    assert.equal(result.text, "hi both");
+    const listed = result.recipients.map((r) => r.publicKey);
+    assert.ok(listed.includes(bob.keys.publicKey));
+    assert.ok(listed.includes(carol.keys.publicKey));
+  });
+
+  await t.test("hidden recipients decrypt without revealing the list", () => {
+    const message = alice.encryptMessage([bob.keys.publicKey, carol.keys.publicKey], "secret", { hideRecipients: true });
+    const result = carol.decryptMessage(message);
+    assert.equal(result.text, "secret");
+    assert.equal(result.recipients, null);
+    assert.ok(!message.includes(bob.keys.publicKey));
+  });
+
+  await t.test("rejects a wrong recipient", () => {
+    const message = alice.encryptMessage([bob.keys.publicKey], "not for carol");
+    assert.throws(() => carol.decryptMessage(message), { code: "not-for-me" });
+
+    const hidden = alice.encryptMessage([bob.keys.publicKey], "not for carol", { hideRecipients: true });
+    assert.throws(() => carol.decryptMessage(hidden), { code: "not-for-me" });
+  });
+
+  await t.test("detects a damaged armor checksum", () => {
+    const message = alice.encryptMessage([bob.keys.publicKey], "hello");
+    const lines = message.split("\n");
+    const line = lines[2];
+    lines[2] = (line[0] === "A" ? "B" : "A") + line.slice(1);
+    assert.throws(() => bob.decryptMessage(lines.join("\n")), { code: "corrupted", message: /checksum/ });
+  });
+
+  await t.test("detects tampered ciphertext behind a valid checksum", () => {
+    const message = alice.encryptMessage([bob.keys.publicKey], "hello");
+    const tampered = tamper(bob, "MESSAGE", message, (bytes) => {
+      bytes[bytes.length - 1] ^= 0x01;
+    });
+    assert.throws(() => bob.decryptMessage(tampered), { code: "corrupted", message: /changed after the sender encrypted it/ });
+  });
+
+  await t.test("detects truncated messages", () => {
+    const message = alice.encryptMessage([bob.keys.publicKey], "hello");
+    const lines = message.split("\n");
+
+    assert.throws(() => bob.decryptMessage(lines.slice(0, -1).join("\n")), { code: "corrupted", message: /END line/ });
+    assert.throws(() => bob.decryptMessage([...lines.slice(0, 2), lines[lines.length - 1]].join("\n")), { code: "corrupted" });
+
+    const cut = tamper(bob, "MESSAGE", message, (bytes) => bytes.subarray(0, 40));
+    assert.throws(() => bob.decryptMessage(cut), { code: "corrupted", message: /truncated/ });
+  });
+
+  await t.test("stops a co-recipient from forging content as the sender", () => {
+    bob.addContact("Carol", carol.keys.publicKey);
+    const message = alice.encryptMessage([bob.keys.publicKey, carol.keys.publicKey], "lunch at noon");
+
+    const forged = forgeAsRecipient(carol, message, "wire 5000 EUR to Carol");
+    assert.throws(() => bob.decryptMessage(forged), { code: "corrupted", message: /changed after the sender encrypted it/ });
+  });
+
+  await t.test("stops a co-recipient from editing the recipient list", () => {
+    const message = alice.encryptMessage([bob.keys.publicKey, carol.keys.publicKey], "lunch at noon");
+    const mallory = alice.generateKeyPair().publicKey;
+
+    // Carol relabels her own entry as someone else's
+    const relabeled = forgeAsRecipient(carol, message, "lunch at noon", (header) => {
+      header.set(sodium.from_base64(mallory), 36 + ENTRY_BYTES);
+    });
+    assert.throws(() => bob.decryptMessage(relabeled), { code: "corrupted" });
+  });
+
+  await t.test("warns about older group messages, which could not stop forgery", () => {
+    // Version 3: the wraps hold only the content key
+    const contentKey = sodium.crypto_secretbox_keygen();
+    const entries = [bob.keys.publicKey, carol.keys.publicKey].map((publicKey) => {
+      const nonce = sodium.randombytes_buf(24);
+      const wrapped = sodium.crypto_box_easy(contentKey, nonce, sodium.from_base64(publicKey), sodium.from_base64(alice.keys.privateKey));
+      return [...sodium.from_base64(publicKey), ...nonce, ...wrapped];
+    });
+    const timestamp = new Uint8Array(8);
+    new DataView(timestamp.buffer).setBigUint64(0, BigInt(Date.now()));
+    const nonce = sodium.randombytes_buf(24);
+    const content = sodium.crypto_secretbox_easy(new Uint8Array([...timestamp, ...sodium.from_string("old group")]), nonce, contentKey);
+    const legacy = bob.armor("MESSAGE", new Uint8Array([
+      3, 0, ...sodium.from_base64(alice.keys.publicKey), 0, 2, ...entries.flat(), ...nonce, ...content
+    ]));
+
+    const result = bob.decryptMessage(legacy);
+    assert.equal(result.text, "old group");
+    assert.ok(result.warnings.some((w) => /older group format/.test(w)));
+  });
+
+  await t.test("refuses unknown envelope versions", () => {
+    const message = alice.encryptMessage([bob.keys.publicKey], "from the future");
+    const future = tamper(bob, "MESSAGE", message, (bytes) => {
+      bytes[0] = 99;
+    });
+    assert.throws(() => bob.decryptMessage(future), { code: "unsupported-version" });
+  });
+
+  await t.test("still reads the legacy sender:nonce:cipher format", () => {
+    const nonce = sodium.randombytes_buf(sodium.crypto_box_NONCEBYTES);
+    const cipher = sodium.crypto_box_easy(
+      sodium.from_string("old style"),
+      nonce,
+      sodium.from_base64(bob.keys.publicKey),
+      sodium.from_base64(alice.keys.privateKey)
+    );
+    const legacy = [alice.keys.publicKey, sodium.to_base64(nonce), sodium.to_base64(cipher)].join(":");
+
+    const result = bob.decryptMessage(legacy);
+    assert.equal(result.text, "old style");
+    assert.equal(result.sentAt, null);
+    assert.match(result.warnings[0], /no timestamp/);
+    assert.throws(() => carol.decryptMessage(legacy), { code: "not-for-me" });
+  });
+});
@@ -0,0 +1,95 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const sodium = require("../sodium.js");
+const { createIdentity } = require("./helpers.js");
+
+// Enough for several 64 KiB chunks plus a partial one
+function sampleFile(size = 200 * 1024) {
+  const bytes = new Uint8Array(size);
+  for (let i = 0; i < size; i++) bytes[i] = (i * 31) & 0xff;
+  return new File([bytes], "whiskers.bin", { type: "application/octet-stream" });
+}
+
+async function bytesOf(blob) {
+  return new Uint8Array(await blob.arrayBuffer());
+}
+
+// What a co-recipient can do with a version 2 file: open their own wrap to
+// learn the stream key, then write a new stream under it behind the sender's
+// recipient block
+async function forgeAsRecipient(cat, encrypted, name, contents) {
+  const bytes = await bytesOf(encrypted);
+  const entryBytes = 32 + 24 + 32 + 32 + 16;
+  const count = (bytes[42] << 8) | bytes[43];
+  const blockEnd = 44 + count * entryBytes;
+  const keys = cat.loadMyKeys();
+
+  let key;
+  for (let i = 0; i < count; i++) {
+    const entry = bytes.subarray(44 + i * entryBytes, 44 + (i + 1) * entryBytes);
+    if (sodium.to_base64(entry.subarray(0, 32)) !== keys.publicKey) continue;
+    key = sodium.crypto_box_open_easy(entry.subarray(56), entry.subarray(32, 56), bytes.subarray(10, 42), sodium.from_base64(keys.privateKey)).subarray(0, 32);
+  }
+
+  const { state, header } = sodium.crypto_secretstream_xchacha20poly1305_init_push(key);
+  const frames = [];
+  const push = (data, tag) => {
+    const chunk = sodium.crypto_secretstream_xchacha20poly1305_push(state, data, null, tag);
+    const length = new Uint8Array(4);
+    new DataView(length.buffer).setUint32(0, chunk.length);
+    frames.push(length, chunk);
+  };
+  const data = sodium.from_string(contents);
+  push(sodium.from_string(JSON.stringify({ name, type: "text/plain", size: data.length, sentAt: Date.now() })), 0);
+  push(data, sodium.crypto_secretstream_xchacha20poly1305_TAG_FINAL);
+  return new Blob([bytes.subarray(0, blockEnd), header, ...frames]);
+}
+
+test("file encryption", async (t) => {
+  const alice = await createIdentity();
+  const bob = await createIdentity();
+  const carol = await createIdentity();
+  const file = sampleFile();
+
+  await t.test("round-trips contents, name and sender", async () => {
+    const encrypted = await alice.encryptFile(file, [bob.keys.publicKey]);
+    assert.equal(await bob.isEncryptedFile(encrypted), true);
+
+    const result = await bob.decryptFile(encrypted);
+    assert.equal(result.name, "whiskers.bin");
+    assert.equal(result.senderPublicKey, alice.keys.publicKey);
+    assert.deepEqual(await bytesOf(result.blob), await bytesOf(file));
+  });
+
+  await t.test("round-trips an empty file", async () => {
+    const empty = new File([], "empty.txt", { type: "text/plain" });
+    const result = await bob.decryptFile(await alice.encryptFile(empty, [bob.keys.publicKey]));
+    assert.equal(result.blob.size, 0);
+  });
+
+  await t.test("rejects a wrong recipient", async () => {
+    const encrypted = await alice.encryptFile(file, [bob.keys.publicKey], { hideRecipients: true });
+    await assert.rejects(carol.decryptFile(encrypted), { code: "not-for-me" });
+  });
+
+  await t.test("stops a co-recipient from forging a file as the sender", async () => {
+    const encrypted = await alice.encryptFile(file, [bob.keys.publicKey, carol.keys.publicKey]);
+    const forged = await forgeAsRecipient(carol, encrypted, "invoice.txt", "wire 5000 EUR to Carol");
+    await assert.rejects(bob.decryptFile(forged), { code: "corrupted", message: /changed after the sender encrypted it/ });
+  });
+
+  await t.test("detects truncation", async () => {
+    const encrypted = await alice.encryptFile(file, [bob.keys.publicKey]);
+    // Cut exactly at a frame boundary so only the missing FINAL chunk gives it away
+    const bytes = await bytesOf(encrypted);
+    const lastFrame = 4 + (file.size % (64 * 1024)) + 17;
+    await assert.rejects(bob.decryptFile(new Blob([bytes.subarray(0, bytes.length - lastFrame)])), { code: "corrupted" });
+    await assert.rejects(bob.decryptFile(encrypted.slice(0, encrypted.size - 100)), { code: "corrupted" });
+  });
+
+  await t.test("detects a tampered chunk", async () => {
+    const bytes = await bytesOf(await alice.encryptFile(file, [bob.keys.publicKey]));
+    bytes[bytes.length - 50] ^= 0x01;
+    await assert.rejects(bob.decryptFile(new Blob([bytes])), { code: "corrupted", message: /authentication/ });
+  });
+});
@@ -0,0 +1,23 @@
+// Shared setup for the test suite
+const { createCatcryption, createMemoryStorage } = require("../catcryption.js");
+
+const PASSPHRASE = "correct horse battery staple";
+
+// A fresh instance with an unlocked vault and its own key pair
+async function createIdentity(passphrase = PASSPHRASE) {
+  const storage = createMemoryStorage();
+  const cat = createCatcryption({ storage });
+  await cat.ready;
+  await cat.createVault(passphrase);
+  cat.saveMyKeys(cat.generateKeyPair());
+  return Object.assign(cat, { storage, keys: cat.loadMyKeys() });
+}
+
+// Decodes an armored block, lets fn change the bytes, and re-armors the
+// result with a valid checksum so the change reaches the crypto layer
+function tamper(cat, label, text, fn) {
+  const bytes = cat.dearmor(label, text).slice();
+  return cat.armor(label, fn(bytes) || bytes);
+}
+
+module.exports = { PASSPHRASE, createIdentity, tamper };
@@ -0,0 +1,63 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createIdentity, tamper } = require("./helpers.js");
+
+test("signed statements", async (t) => {
+  const alice = await createIdentity();
+  const bob = await createIdentity();
+  alice.ensureSigningKeys();
+  bob.addContact("Alice", alice.shareCode(alice.loadMyKeys()));
+
+  await t.test("verify and name a known signer", () => {
+    const signed = alice.signMessage("I owe Bob one fish.\r\n");
+    const result = bob.verifySignedMessage(signed);
+    assert.equal(result.text, "I owe Bob one fish.");
+    assert.equal(result.contact.name, "Alice");
+    assert.deepEqual(result.warnings, []);
+  });
+
+  await t.test("survive trailing whitespace and line ending changes", () => {
+    const signed = alice.signMessage("line one\nline two");
+    const mangled = signed.replace("line one\n", "line one   \r\n");
+    assert.equal(bob.verifySignedMessage(mangled).text, "line one\nline two");
+  });
+
+  await t.test("reject altered text", () => {
+    const signed = alice.signMessage("I owe Bob one fish.");
+    assert.throws(() => bob.verifySignedMessage(signed.replace("one", "ten")), { code: "bad-signature" });
+  });
+
+  await t.test("reject a forged signature behind a valid checksum", () => {
+    const signed = alice.signMessage("hello");
+    const start = signed.indexOf("-----BEGIN CATCRYPTION SIGNATURE-----");
+    const forged = tamper(bob, "SIGNATURE", signed.slice(start), (bytes) => {
+      bytes[bytes.length - 1] ^= 0x01;
+    });
+    assert.throws(() => bob.verifySignedMessage(signed.slice(0, start) + forged), { code: "bad-signature" });
+  });
+
+  await t.test("reject a missing signature block", () => {
+    const signed = alice.signMessage("hello");
+    const cut = signed.slice(0, signed.indexOf("-----BEGIN CATCRYPTION SIGNATURE-----"));
+    assert.throws(() => bob.verifySignedMessage(cut), { code: "corrupted" });
+  });
+
+  await t.test("only call the signer verified if their signing key was compared", () => {
+    const signed = alice.signMessage("hello");
+    const contact = bob.findContactBySignKey(alice.loadMyKeys().signPublicKey);
+    assert.equal(bob.verifySignedMessage(signed).signerVerified, false);
+
+    bob.setContactVerified(contact.id, true);
+    assert.equal(bob.verifySignedMessage(signed).signerVerified, true);
+
+    // Verified on the box key alone, with the signing key turning up afterwards
+    bob.deleteContact(contact.id);
+    const bare = bob.addContact("Alice", alice.keys.publicKey);
+    bob.setContactVerified(bare.id, true);
+    bob.setContactSignKey(bare.id, alice.loadMyKeys().signPublicKey);
+    const result = bob.verifySignedMessage(signed);
+    assert.equal(result.contact.verified, true);
+    assert.equal(result.signerVerified, false);
+  });
+});
+
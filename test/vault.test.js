@@ -0,0 +1,56 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createCatcryption, createMemoryStorage } = require("../catcryption.js");
+const { PASSPHRASE, createIdentity } = require("./helpers.js");
+
+test("vault", async (t) => {
+  const alice = await createIdentity();
+
+  await t.test("keeps keys and contacts sealed at rest", () => {
+    alice.addContact("Bob", alice.generateKeyPair().publicKey);
+    const stored = JSON.stringify(alice.storage.toJSON());
+    assert.ok(!stored.includes(alice.keys.privateKey));
+    assert.ok(!stored.includes("Bob"));
+  });
+
+  await t.test("refuses access while locked", () => {
+    alice.lockVault();
+    assert.equal(alice.isUnlocked(), false);
+    assert.throws(() => alice.loadMyKeys(), /locked/);
+    assert.throws(() => alice.loadContacts(), /locked/);
+  });
+
+  await t.test("rejects a wrong passphrase and accepts the right one", async () => {
+    await assert.rejects(alice.unlockVault("wrong"), /Wrong passphrase/);
+    assert.equal(alice.isUnlocked(), false);
+
+    await alice.unlockVault(PASSPHRASE);
+    assert.equal(alice.loadMyKeys().privateKey, alice.keys.privateKey);
+  });
+
+  await t.test("opens from another instance sharing the storage", async () => {
+    const other = createCatcryption({ storage: alice.storage });
+    await other.ready;
+    assert.equal(other.isVaultCreated(), true);
+    await other.unlockVault(PASSPHRASE);
+    assert.equal(other.loadContacts()[0].name, "Bob");
+  });
+
+  await t.test("caps the auto-lock delay within setTimeout's range", () => {
+    alice.saveLockMinutes(40000);
+    assert.equal(alice.loadLockMinutes(), 24 * 60);
+    alice.storage.setItem("lockMinutes", "99999999");
+    assert.ok(alice.loadLockMinutes() * 60 * 1000 <= 2 ** 31 - 1);
+  });
+
+  await t.test("seals plaintext data left by older versions", async () => {
+    const keys = alice.generateKeyPair();
+    const storage = createMemoryStorage({ myKeys: JSON.stringify(keys), contacts: "[]" });
+    const legacy = createCatcryption({ storage });
+    assert.equal(legacy.hasLegacyData(), true);
+
+    await legacy.createVault(PASSPHRASE);
+    assert.equal(legacy.loadMyKeys().privateKey, keys.privateKey);
+    assert.ok(!JSON.stringify(storage.toJSON()).includes(keys.privateKey));
+  });
+});